@@ -0,0 +1,68 @@
+const path = require('path');
+
+/**
+ * Application configuration
+ * Values can be overridden with environment variables.
+ */
+module.exports = {
+    port: process.env.PORT || 3001,
+
+    storage: {
+        // 'json' keeps one JSON file per collection, 'sqlite' uses an embedded database
+        driver: process.env.STORAGE_DRIVER || 'json',
+        dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+        sqliteFile: process.env.SQLITE_FILE || path.join(__dirname, 'data', 'shop.db')
+    },
+
+    currency: {
+        // The currency product prices, orders and pricing rules are stored in.
+        // Set it once: changing it later doesn't convert stored amounts.
+        base: (process.env.BASE_CURRENCY || 'USD').toUpperCase()
+    },
+
+    pricing: {
+        // Country assumed for addresses without one, e.g. cart estimates from a postcode
+        defaultCountry: process.env.DEFAULT_COUNTRY || 'US'
+    },
+
+    seller: {
+        // Printed on invoices and packing slips; address lines are separated by semicolons
+        name: process.env.SELLER_NAME || 'Nexus Shop',
+        address: (process.env.SELLER_ADDRESS || '100 Market Street;San Francisco, CA 94105;United States')
+            .split(';').map(line => line.trim()).filter(Boolean),
+        email: process.env.SELLER_EMAIL || 'support@nexus-shop.example',
+        taxId: process.env.SELLER_TAX_ID || null
+    },
+
+    invoices: {
+        // Invoice numbers are the prefix and a sequence number padded to this many digits
+        prefix: process.env.INVOICE_PREFIX || 'INV-',
+        digits: 6
+    },
+
+    returns: {
+        // How many days after delivery customers can ask to return items
+        windowDays: parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30
+    },
+
+    reservations: {
+        // How long starting checkout holds the cart's stock
+        ttlMinutes: parseFloat(process.env.RESERVATION_TTL_MINUTES) || 15,
+        // How often expired holds are cleared out, in milliseconds
+        sweepInterval: 60 * 1000
+    },
+
+    idempotency: {
+        // How long the response to a request with an Idempotency-Key is replayed for repeats
+        ttlHours: parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+        // How often expired responses are cleared out, in milliseconds
+        sweepInterval: 60 * 60 * 1000
+    },
+
+    uploads: {
+        // Uploaded product images and their resized copies, served at /uploads
+        dir: process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'),
+        maxFileSize: 5 * 1024 * 1024,
+        maxFiles: 8
+    }
+};
@@ -0,0 +1,126 @@
+const { describeRequest, findResponse, saveResponse } = require('../utils/idempotency');
+
+/**
+ * Idempotency Middleware
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Bodies the app parses before this runs (server.js), so they can be part of
+// the fingerprint; other bodies, e.g. image uploads, are only read by their routes
+const PARSED_TYPES = ['application/json', 'application/x-www-form-urlencoded'];
+
+// Printable ASCII, like the UUIDs clients usually send
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Response headers stored along with the body to replay it as it was sent
+const REPLAYED_HEADERS = ['content-type', 'content-disposition', 'location'];
+
+// Requests still being handled, by key id; a repeat meanwhile is turned away
+const inFlight = new Set();
+
+function toBuffer(chunk, encoding) {
+    return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+function hasBody(req) {
+    return req.get('Transfer-Encoding') !== undefined || Number(req.get('Content-Length')) > 0;
+}
+
+function pick(headers, names) {
+    return Object.fromEntries(names.filter(name => headers[name] !== undefined).map(name => [name, headers[name]]));
+}
+
+/**
+ * Honor an Idempotency-Key header on mutating requests (see utils/idempotency.js)
+ * The first response for a key is stored and replayed, with an
+ * Idempotent-Replayed header, for repeats of the same request. A key reused
+ * for a different request is rejected, as is a repeat while the first is
+ * still running. Server errors aren't stored, so the request can be retried.
+ * Any response is stored, not just JSON: the body as sent and the headers
+ * needed to replay it. Requests with a body of another type (PARSED_TYPES)
+ * are handled as if sent without a key, since their body can't be told apart.
+ */
+function idempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined || !MUTATING_METHODS.includes(req.method)) return next();
+
+    if (hasBody(req) && !req.is(PARSED_TYPES)) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            error: 'Invalid idempotency key',
+            message: 'Idempotency-Key must be 1 to 255 printable characters'
+        });
+    }
+
+    if (req.session.user || req.session.guest) return handle(req, res, next, key);
+
+    // A guest's keys belong to their session, which isn't kept (nor its
+    // cookie sent) until something is stored in it, so a retry would arrive
+    // with a new session. Keep it before handling the request.
+    req.session.guest = true;
+    req.session.save(error => (error ? next(error) : handle(req, res, next, key)));
+}
+
+function handle(req, res, next, key) {
+    const request = describeRequest(req, key);
+
+    if (inFlight.has(request.id)) {
+        return res.status(409).json({
+            error: 'Request in progress',
+            message: 'A request with this Idempotency-Key is still being processed'
+        });
+    }
+
+    const stored = findResponse(request.id);
+    if (stored) {
+        if (stored.fingerprint !== request.fingerprint) {
+            return res.status(422).json({
+                error: 'Idempotency key reused',
+                message: 'This Idempotency-Key was already used for a different request'
+            });
+        }
+        res.set({ ...stored.headers, 'Idempotent-Replayed': 'true' });
+        return res.status(stored.status).end(Buffer.from(stored.body, 'base64'));
+    }
+
+    inFlight.add(request.id);
+    res.on('close', () => inFlight.delete(request.id));
+
+    // Collect whatever the route sends, JSON or not, and store it before the
+    // last of it goes out, so a repeat arriving right after sees it
+    const chunks = [];
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+
+    res.write = (chunk, encoding, callback) => {
+        if (chunk && typeof chunk !== 'function') chunks.push(toBuffer(chunk, encoding));
+        return write(chunk, encoding, callback);
+    };
+    res.end = (chunk, encoding, callback) => {
+        res.write = write;
+        res.end = end;
+        if (chunk && typeof chunk !== 'function') chunks.push(toBuffer(chunk, encoding));
+
+        if (res.statusCode < 500) {
+            try {
+                saveResponse(request, {
+                    status: res.statusCode,
+                    headers: pick(res.getHeaders(), REPLAYED_HEADERS),
+                    body: Buffer.concat(chunks)
+                });
+            } catch (error) {
+                console.error('Idempotency key save error:', error);
+            }
+        }
+        inFlight.delete(request.id);
+        return end(chunk, encoding, callback);
+    };
+
+    next();
+}
+
+module.exports = {
+    idempotency
+};
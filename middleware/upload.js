@@ -0,0 +1,38 @@
+const multer = require('multer');
+const config = require('../config');
+
+/**
+ * Image Upload Middleware
+ */
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.uploads.maxFileSize,
+        files: config.uploads.maxFiles
+    }
+}).array('images', config.uploads.maxFiles);
+
+/**
+ * Parse multipart image uploads from the "images" field into req.files
+ * Files are kept in memory until they have been validated and resized.
+ */
+function uploadImages(req, res, next) {
+    upload(req, res, error => {
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Images must be ${config.uploads.maxFileSize / (1024 * 1024)} MB or smaller`
+                : `Upload up to ${config.uploads.maxFiles} files in the "images" field`;
+
+            return res.status(400).json({
+                error: 'Upload failed',
+                message
+            });
+        }
+        next(error);
+    });
+}
+
+module.exports = {
+    uploadImages
+};
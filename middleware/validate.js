@@ -0,0 +1,34 @@
+const { validateSchema } = require('../utils/schema');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Validation Middleware
+ */
+
+/**
+ * Validate and coerce req.params, req.query and req.body against schemas
+ * (see utils/schema.js). Each part that has a schema is replaced by its
+ * cleaned value; any problem ends the request with a 400 listing every field.
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+
+            const { value, errors: partErrors } = validateSchema(req[part], schemas[part]);
+            errors.push(...partErrors);
+            req[part] = value;
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json(new ValidationError(errors));
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,30 @@
+/**
+ * Give every product the full shape created by POST /api/products
+ * Hand-edited products may be missing optional fields, and updatedAt
+ * previously only appeared after an edit.
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Fill in missing product fields and updatedAt',
+
+    up(products) {
+        return products.map(product => ({
+            ...product,
+            price: Number(product.price) || 0,
+            originalPrice: product.originalPrice !== undefined
+                ? Number(product.originalPrice)
+                : Number(product.price) || 0,
+            subcategory: product.subcategory || '',
+            brand: product.brand || '',
+            images: Array.isArray(product.images) ? product.images : [],
+            stock: parseInt(product.stock, 10) || 0,
+            rating: Number(product.rating) || 0,
+            reviews: parseInt(product.reviews, 10) || 0,
+            featured: Boolean(product.featured),
+            tags: Array.isArray(product.tags) ? product.tags : [],
+            specifications: product.specifications || {},
+            createdAt: product.createdAt || new Date(0).toISOString(),
+            updatedAt: product.updatedAt || product.createdAt || new Date(0).toISOString()
+        }));
+    }
+};
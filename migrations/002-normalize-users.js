@@ -0,0 +1,25 @@
+/**
+ * Give every user the full shape created by POST /api/auth/register
+ */
+module.exports = {
+    collection: 'users',
+    description: 'Fill in missing user profile fields',
+
+    up(users) {
+        return users.map(user => ({
+            ...user,
+            role: user.role || 'customer',
+            avatar: user.avatar || null,
+            phone: user.phone || '',
+            address: {
+                street: '',
+                city: '',
+                state: '',
+                zipCode: '',
+                country: '',
+                ...user.address
+            },
+            updatedAt: user.updatedAt || user.createdAt
+        }));
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Make sure every order has a status history and updatedAt
+ */
+module.exports = {
+    collection: 'orders',
+    description: 'Fill in missing order status history and updatedAt',
+
+    up(orders) {
+        return orders.map(order => ({
+            ...order,
+            statusHistory: Array.isArray(order.statusHistory) && order.statusHistory.length > 0
+                ? order.statusHistory
+                : [{ status: order.status, timestamp: order.createdAt, note: 'Order placed' }],
+            updatedAt: order.updatedAt || order.createdAt
+        }));
+    }
+};
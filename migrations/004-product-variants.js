@@ -0,0 +1,16 @@
+/**
+ * Add option definitions and variants to products
+ * Existing products have no options, so their variant list starts empty.
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Add options and variants to products',
+
+    up(products) {
+        return products.map(product => ({
+            ...product,
+            options: product.options || [],
+            variants: product.variants || []
+        }));
+    }
+};
@@ -0,0 +1,28 @@
+// Average of the published ratings to one decimal, and how many there are
+function summarize(reviews) {
+    const published = reviews.filter(r => r.status === 'published');
+    const total = published.reduce((sum, r) => sum + r.rating, 0);
+
+    return {
+        average: published.length ? Math.round((total / published.length) * 10) / 10 : 0,
+        count: published.length
+    };
+}
+
+/**
+ * Replace the hard-coded rating and review count on products with
+ * figures computed from the reviews collection
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Derive product rating and review count from reviews',
+
+    up(products, tx) {
+        const reviews = tx.repository('reviews').findAll();
+
+        return products.map(product => {
+            const { average, count } = summarize(reviews.filter(r => r.productId === product.id));
+            return { ...product, rating: average, reviews: count };
+        });
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * Give every product a SKU, used to match rows in catalog imports
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Add a SKU to products',
+
+    up(products) {
+        return products.map(product => ({
+            ...product,
+            sku: product.sku || product.id.toUpperCase()
+        }));
+    }
+};
@@ -0,0 +1,48 @@
+const { generateId, getTimestamp } = require('../utils/helpers');
+
+// Reorder threshold given to products that had none
+const REORDER_THRESHOLD = 5;
+
+/**
+ * Give products a reorder threshold and open the inventory ledger with
+ * a movement for the stock each product (or variant) holds today, so the
+ * ledger adds up to the current stock
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Add reorder thresholds and opening stock movements',
+
+    up(products, tx) {
+        const movements = tx.repository('stockMovements');
+
+        for (const product of products) {
+            const units = product.variants && product.variants.length > 0 ? product.variants : [null];
+
+            for (const variant of units) {
+                const stock = variant ? variant.stock : product.stock;
+                if (!stock) continue;
+
+                movements.insert({
+                    id: generateId(),
+                    productId: product.id,
+                    variantId: variant ? variant.id : null,
+                    sku: variant ? variant.sku : product.sku,
+                    type: 'opening',
+                    quantity: stock,
+                    stockAfter: stock,
+                    reason: 'Opening balance',
+                    userId: null,
+                    orderId: null,
+                    createdAt: getTimestamp()
+                });
+            }
+        }
+
+        return products.map(product => ({
+            ...product,
+            reorderThreshold: product.reorderThreshold !== undefined
+                ? product.reorderThreshold
+                : REORDER_THRESHOLD
+        }));
+    }
+};
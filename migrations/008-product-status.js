@@ -0,0 +1,14 @@
+/**
+ * Give products a lifecycle status; everything already in the catalog is on sale
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Add draft/active/archived status to products',
+
+    up(products) {
+        return products.map(product => ({
+            ...product,
+            status: product.status || 'active'
+        }));
+    }
+};
@@ -0,0 +1,85 @@
+const { generateId, getTimestamp } = require('../utils/helpers');
+
+// URL-safe identifier for a category name ("Smart Home" -> "smart-home")
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the category tree from the category/subcategory strings on products
+ * and point each product at its category. Strings that only differ in case
+ * or punctuation share a category; anything else (typos included) gets its
+ * own, which admins can then merge away.
+ */
+module.exports = {
+    collection: 'products',
+    description: 'Create categories from product strings and link products to them',
+
+    up(products, tx) {
+        const categories = tx.repository('categories');
+        const existing = categories.findAll();
+
+        // Slugs are unique across the tree: a nested one that is taken carries
+        // its parent's, and one still taken after that gets a number
+        const uniqueSlug = (slug, parentId) => {
+            const taken = candidate => existing.some(c => c.slug === candidate);
+            const parent = parentId && existing.find(c => c.id === parentId);
+            const base = taken(slug) && parent ? `${parent.slug}-${slug}` : slug;
+
+            let candidate = base;
+            for (let n = 2; taken(candidate); n++) candidate = `${base}-${n}`;
+            return candidate;
+        };
+
+        const findOrCreate = (name, parentId) => {
+            const slug = slugify(name);
+            // By name under the parent, as the stored slug may carry the parent's
+            let category = existing.find(c => slugify(c.name) === slug && (c.parentId || null) === parentId);
+
+            if (!category) {
+                category = {
+                    id: generateId(),
+                    name: name.trim(),
+                    slug: uniqueSlug(slug, parentId),
+                    parentId,
+                    position: existing.filter(c => (c.parentId || null) === parentId).length,
+                    description: '',
+                    createdAt: getTimestamp(),
+                    updatedAt: getTimestamp()
+                };
+                categories.insert(category);
+                existing.push(category);
+            }
+            return category;
+        };
+
+        const migrated = products.map(product => {
+            if (!slugify(product.category)) return { ...product, categoryId: null };
+
+            const root = findOrCreate(product.category, null);
+            const leaf = slugify(product.subcategory) ? findOrCreate(product.subcategory, root.id) : root;
+
+            return {
+                ...product,
+                categoryId: leaf.id,
+                category: root.name,
+                subcategory: leaf === root ? '' : leaf.name
+            };
+        });
+
+        // Categories are looked up by slug, so a shared one would hide a category
+        const slugs = new Set();
+        for (const category of existing) {
+            if (slugs.has(category.slug)) {
+                throw new Error(`Category slug "${category.slug}" is used more than once`);
+            }
+            slugs.add(category.slug);
+        }
+        return migrated;
+    }
+};
@@ -0,0 +1,26 @@
+const { generateId, getTimestamp } = require('../utils/helpers');
+
+/**
+ * Start the tax rate table with the flat 8% sales tax that used to be
+ * hard-coded, applied everywhere until admins add regional rates
+ */
+module.exports = {
+    collection: 'taxRates',
+    description: 'Add the default sales tax rate',
+
+    up(taxRates) {
+        if (taxRates.length > 0) return taxRates;
+
+        return [{
+            id: generateId(),
+            name: 'Sales tax',
+            countries: ['*'],
+            states: [],
+            postcodes: [],
+            rate: 8,
+            shippingTaxable: false,
+            createdAt: getTimestamp(),
+            updatedAt: getTimestamp()
+        }];
+    }
+};
@@ -0,0 +1,28 @@
+const { generateId, getTimestamp } = require('../utils/helpers');
+
+/**
+ * Start with one zone covering everywhere: the $9.99 standard shipping
+ * (free over $100) that used to be hard-coded, plus an express option
+ */
+module.exports = {
+    collection: 'shippingZones',
+    description: 'Add a default shipping zone with standard and express shipping',
+
+    up(zones) {
+        if (zones.length > 0) return zones;
+
+        return [{
+            id: generateId(),
+            name: 'Everywhere',
+            countries: ['*'],
+            states: [],
+            postcodes: [],
+            methods: [
+                { method: 'standard', label: 'Standard', price: 9.99, perKg: 0, tiers: [], freeOver: 100, minDays: 5, maxDays: 7 },
+                { method: 'express', label: 'Express', price: 24.99, perKg: 0, tiers: [], freeOver: null, minDays: 1, maxDays: 2 }
+            ],
+            createdAt: getTimestamp(),
+            updatedAt: getTimestamp()
+        }];
+    }
+};
@@ -0,0 +1,28 @@
+const config = require('../config');
+const { getTimestamp } = require('../utils/helpers');
+
+/**
+ * Start the currency table with the base currency, the only one prices
+ * were shown in before customers could choose
+ */
+module.exports = {
+    collection: 'currencies',
+    description: 'Add the base currency',
+
+    up(currencies) {
+        if (currencies.length > 0) return currencies;
+
+        const code = config.currency.base;
+        return [{
+            id: code,
+            code,
+            name: new Intl.DisplayNames(['en'], { type: 'currency' }).of(code),
+            rate: 1,
+            decimals: 2,
+            roundingIncrement: null,
+            roundingMode: 'nearest',
+            enabled: true,
+            updatedAt: getTimestamp()
+        }];
+    }
+};
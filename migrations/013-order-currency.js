@@ -0,0 +1,21 @@
+const config = require('../config');
+
+/**
+ * Orders placed before customers could choose a currency were shown in
+ * the base currency at rate 1
+ */
+module.exports = {
+    collection: 'orders',
+    description: 'Record the base currency on orders placed without one',
+
+    up(orders) {
+        const currency = {
+            code: config.currency.base,
+            rate: 1,
+            decimals: 2,
+            roundingIncrement: null,
+            roundingMode: 'nearest'
+        };
+        return orders.map(order => order.currency ? order : { ...order, currency });
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * Give every order empty returns and refunds, and orders delivered before
+ * deliveredAt was recorded the time their history says they arrived, which
+ * their return window counts from
+ */
+module.exports = {
+    collection: 'orders',
+    description: 'Add returns, refunds and the delivery time to orders',
+
+    up(orders) {
+        return orders.map(order => {
+            const migrated = {
+                ...order,
+                returns: order.returns || [],
+                refunds: order.refunds || [],
+                refundedTotal: order.refundedTotal || 0
+            };
+
+            if (order.status === 'delivered' && !order.deliveredAt) {
+                const delivered = order.statusHistory.filter(h => h.status === 'delivered').pop();
+                migrated.deliveredAt = delivered ? delivered.timestamp : order.updatedAt;
+            }
+            return migrated;
+        });
+    }
+};
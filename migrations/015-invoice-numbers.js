@@ -0,0 +1,33 @@
+const config = require('../config');
+
+// Counter in the counters collection that new orders take their invoice number from
+const INVOICE_COUNTER = 'invoice';
+
+/**
+ * Number the invoices of orders placed before orders got one, oldest first,
+ * continuing the invoice counter from there
+ */
+module.exports = {
+    collection: 'orders',
+    description: 'Give every order a sequential invoice number',
+
+    up(orders, tx) {
+        const counters = tx.repository('counters');
+        const counter = counters.findById(INVOICE_COUNTER);
+        let value = counter ? counter.value : 0;
+
+        const numbered = orders
+            .filter(order => !order.invoiceNumber)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .reduce((numbers, order) => {
+                value += 1;
+                return numbers.set(order.id, `${config.invoices.prefix}${String(value).padStart(config.invoices.digits, '0')}`);
+            }, new Map());
+
+        if (numbered.size > 0) counters.upsert({ id: INVOICE_COUNTER, value });
+
+        return orders.map(order => numbered.has(order.id)
+            ? { ...order, invoiceNumber: numbered.get(order.id) }
+            : order);
+    }
+};
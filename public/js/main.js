@@ -8,13 +8,21 @@ const API_URL = '/api';
 const state = {
     user: null,
     cart: [],
-    products: []
+    products: [],
+    // Currency amounts are shown in, the one they are kept in, and the currencies on offer
+    currency: null,
+    baseCurrency: null,
+    currencies: []
 };
 
+// Started straight away so the formatter knows the currency's decimals by the time pages render
+const currenciesLoaded = loadCurrencies();
+
 // DOM Elements
 document.addEventListener('DOMContentLoaded', async () => {
     await checkAuth();
     updateNavigation();
+    currenciesLoaded.then(renderCurrencySelector);
     if (window.location.pathname === '/' || window.location.pathname.includes('index.html')) {
         loadFeaturedProducts();
     }
@@ -68,6 +76,7 @@ function updateNavigation() {
                 <div class="user-menu-content">
                     <a href="/profile.html" class="user-menu-item"><i class="fas fa-id-card"></i> Profile</a>
                     <a href="/orders.html" class="user-menu-item"><i class="fas fa-box"></i> Orders</a>
+                    <a href="/wishlist.html" class="user-menu-item"><i class="fas fa-heart"></i> Wishlists</a>
                     ${state.user.role === 'admin' ? '<a href="/admin.html" class="user-menu-item"><i class="fas fa-cog"></i> Admin Dashboard</a>' : ''}
                     <a href="#" onclick="logout()" class="user-menu-item text-danger"><i class="fas fa-sign-out-alt"></i> Logout</a>
                 </div>
@@ -94,7 +103,7 @@ async function logout() {
 /**
  * Add to Cart
  */
-async function addToCart(productId, quantity = 1) {
+async function addToCart(productId, quantity = 1, variantId = null) {
     if (!state.user) {
         showToast('Please login to add items to cart', 'error');
         setTimeout(() => window.location.href = '/login.html', 1500);
@@ -105,7 +114,7 @@ async function addToCart(productId, quantity = 1) {
         const response = await fetch(`${API_URL}/cart/add`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ productId, quantity })
+            body: JSON.stringify({ productId, variantId, quantity })
         });
 
         if (response.ok) {
@@ -120,6 +129,49 @@ async function addToCart(productId, quantity = 1) {
     }
 }
 
+/**
+ * Save a product to one of the user's wishlists
+ * With several lists the user picks one; without any, "My wishlist" is created.
+ */
+async function saveToWishlist(productId, variantId = null) {
+    if (!state.user) {
+        showToast('Please login to save items', 'error');
+        setTimeout(() => window.location.href = '/login.html', 1500);
+        return;
+    }
+
+    try {
+        let { wishlists } = await fetch(`${API_URL}/wishlists`).then(r => r.json());
+
+        if (wishlists.length === 0) {
+            const created = await fetch(`${API_URL}/wishlists`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: 'My wishlist' })
+            }).then(r => r.json());
+            wishlists = [created.wishlist];
+        }
+
+        let wishlist = wishlists[0];
+        if (wishlists.length > 1) {
+            const choice = prompt(`Save to which list?\n${wishlists.map((w, i) => `${i + 1}. ${w.name}`).join('\n')}`, '1');
+            if (choice === null) return;
+            wishlist = wishlists[parseInt(choice, 10) - 1];
+            if (!wishlist) return showToast('No such list', 'error');
+        }
+
+        const response = await fetch(`${API_URL}/wishlists/${wishlist.id}/items`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ productId, variantId })
+        });
+        const data = await response.json();
+        showToast(data.message, response.ok ? 'success' : 'error');
+    } catch (error) {
+        showToast('Error saving to wishlist', 'error');
+    }
+}
+
 /**
  * Update Cart Count
  */
@@ -133,6 +185,61 @@ function updateCartCount() {
     });
 }
 
+/**
+ * Coupon code field for the cart and checkout summaries
+ * reload is the page function that redraws the summary afterwards.
+ */
+function renderCouponForm(coupon, reload) {
+    if (coupon) {
+        return `
+            <div style="margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <span><i class="fas fa-ticket-alt"></i> ${coupon.code}</span>
+                    <button type="button" onclick="removeCoupon(${reload})" class="btn btn-sm text-danger" style="background: transparent;">Remove</button>
+                </div>
+                ${coupon.valid ? '' : `<div style="font-size: 0.85rem; color: var(--danger);">${coupon.message}</div>`}
+            </div>
+        `;
+    }
+    return `
+        <form onsubmit="applyCoupon(event, ${reload})" style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+            <input type="text" name="code" class="form-input" placeholder="Discount code" required>
+            <button type="submit" class="btn btn-outline btn-sm">Apply</button>
+        </form>
+    `;
+}
+
+async function applyCoupon(event, reload) {
+    event.preventDefault();
+
+    try {
+        const response = await fetch(`${API_URL}/cart/coupon`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: event.target.code.value })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            showToast(data.message, 'success');
+            reload();
+        } else {
+            showToast(data.message || 'Failed to apply coupon', 'error');
+        }
+    } catch (error) {
+        showToast('Error applying coupon', 'error');
+    }
+}
+
+async function removeCoupon(reload) {
+    try {
+        const response = await fetch(`${API_URL}/cart/coupon`, { method: 'DELETE' });
+        if (response.ok) reload();
+    } catch (error) {
+        showToast('Error removing coupon', 'error');
+    }
+}
+
 /**
  * Toast Notification
  */
@@ -160,16 +267,106 @@ function createToastContainer() {
     return container;
 }
 
+/**
+ * Load the currencies on offer and the one the visitor chose
+ */
+async function loadCurrencies() {
+    try {
+        const data = await fetch(`${API_URL}/currencies`).then(r => r.json());
+        state.currency = data.selected;
+        state.baseCurrency = data.base;
+        state.currencies = data.currencies;
+    } catch (error) {
+        console.error('Failed to load currencies', error);
+    }
+}
+
+/**
+ * Currency picker in the navigation, when there is a choice
+ */
+function renderCurrencySelector() {
+    const nav = document.querySelector('.nav-links');
+    if (!nav || state.currencies.length < 2 || document.getElementById('currency-select')) return;
+
+    const select = document.createElement('select');
+    select.id = 'currency-select';
+    select.className = 'form-control';
+    select.style.width = 'auto';
+    select.title = 'Show prices in';
+    select.innerHTML = state.currencies.map(c =>
+        `<option value="${c.code}" ${c.code === state.currency ? 'selected' : ''}>${c.code} (${c.symbol})</option>`
+    ).join('');
+    select.addEventListener('change', () => selectCurrency(select.value));
+
+    nav.insertBefore(select, nav.querySelector('a[href="/cart.html"]'));
+}
+
+async function selectCurrency(code) {
+    try {
+        const response = await fetch(`${API_URL}/currencies/selected`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+
+        if (response.ok) {
+            window.location.reload();
+        } else {
+            const data = await response.json();
+            showToast(data.message || 'Failed to change currency', 'error');
+        }
+    } catch (error) {
+        showToast('Error changing currency', 'error');
+    }
+}
+
 /**
  * Format Currency
+ * Every price on the storefront goes through here. The API gives amounts
+ * already converted (see the display objects in its responses); code is
+ * the currency they are in.
  */
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
+function formatCurrency(amount, code = state.currency) {
+    const currency = state.currencies.find(c => c.code === code);
+    const decimals = currency ? currency.decimals : undefined;
+
+    return new Intl.NumberFormat(undefined, {
         style: 'currency',
-        currency: 'USD'
+        currency: code,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
     }).format(amount);
 }
 
+/**
+ * Format one amount of an API display object, e.g. formatMoney(product.display, 'price')
+ */
+function formatMoney(display, field) {
+    return formatCurrency(display[field], display.currency);
+}
+
+/**
+ * Text made safe to put in HTML, e.g. something the visitor typed
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Image URL for a display size ('thumbnail', 'card' or 'zoom')
+ * Uploaded images come in several sizes; external URLs are used as they are.
+ */
+function imageUrl(image, size = 'card') {
+    if (!image) return '';
+    if (typeof image === 'string') return image;
+    return image[size] || image.zoom;
+}
+
 /**
  * Load Featured Products (Home)
  */
@@ -194,22 +391,30 @@ function createProductCard(product) {
     return `
         <div class="product-card">
             <div class="product-image-container">
-                <img src="${product.images[0]}" alt="${product.name}" class="product-image">
+                <img src="${imageUrl(product.images[0], 'card')}" alt="${product.name}" class="product-image" loading="lazy">
                 ${product.stock < 5 ? '<span class="badge badge-sale" style="position: absolute; top: 1rem; right: 1rem;">Low Stock</span>' : ''}
+                ${product.promotion ? `<span class="badge badge-sale" style="position: absolute; top: 1rem; left: 1rem;">${product.promotion.name}</span>` : ''}
             </div>
             <div class="product-info">
                 <div class="product-header">
                     <h3 style="font-size: 1.1rem; margin: 0;">${product.name}</h3>
-                    <div class="price">$${product.price}</div>
+                    <div class="price">
+                        ${product.promotion ? `<span style="text-decoration: line-through; color: var(--text-secondary); font-size: 0.85rem; font-weight: 400;">${formatMoney(product.display, 'basePrice')}</span>` : ''}
+                        ${formatMoney(product.display, 'price')}
+                    </div>
                 </div>
                 <p style="color: var(--text-secondary); font-size: 0.9rem; margin-bottom: 1rem; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden;">
                     ${product.description}
                 </p>
                 <div style="display: flex; gap: 0.5rem;">
                     <a href="/product.html?id=${product.id}" class="btn btn-outline btn-sm" style="flex: 1;">View Details</a>
+                    ${product.variants && product.variants.length > 0 ? `
+                    <a href="/product.html?id=${product.id}" class="btn btn-primary btn-sm" title="Choose options">
+                        <i class="fas fa-sliders-h"></i>
+                    </a>` : `
                     <button onclick="addToCart('${product.id}')" class="btn btn-primary btn-sm">
                         <i class="fas fa-shopping-cart"></i>
-                    </button>
+                    </button>`}
                 </div>
             </div>
         </div>
@@ -1,40 +1,33 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const { readData, writeData, generateId, isValidEmail, getTimestamp } = require('../utils/helpers');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository } = require('../utils/storage');
+const { loadCart, mergeGuestCart } = require('../utils/carts');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
-const USERS_FILE = 'users.json';
+const userRepo = repository('users');
+
+const registerSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    password: { type: 'string', required: true, trim: false, minLength: 6, maxLength: 128 },
+    confirmPassword: { type: 'string', required: true, trim: false }
+};
+
+const loginSchema = {
+    email: { type: 'string', required: true, maxLength: 254 },
+    password: { type: 'string', required: true, trim: false }
+};
 
 /**
  * POST /api/auth/register
  * Register a new user
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validate({ body: registerSchema }), async (req, res) => {
     try {
         const { name, email, password, confirmPassword } = req.body;
 
-        // Validation
-        if (!name || !email || !password) {
-            return res.status(400).json({
-                error: 'Missing fields',
-                message: 'Name, email, and password are required'
-            });
-        }
-
-        if (!isValidEmail(email)) {
-            return res.status(400).json({
-                error: 'Invalid email',
-                message: 'Please provide a valid email address'
-            });
-        }
-
-        if (password.length < 6) {
-            return res.status(400).json({
-                error: 'Weak password',
-                message: 'Password must be at least 6 characters'
-            });
-        }
-
         if (password !== confirmPassword) {
             return res.status(400).json({
                 error: 'Password mismatch',
@@ -43,8 +36,7 @@ router.post('/register', async (req, res) => {
         }
 
         // Check if user already exists
-        const users = readData(USERS_FILE);
-        const existingUser = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+        const existingUser = userRepo.findOne(u => u.email.toLowerCase() === email.toLowerCase());
 
         if (existingUser) {
             return res.status(409).json({
@@ -60,10 +52,10 @@ router.post('/register', async (req, res) => {
         // Create new user
         const newUser = {
             id: generateId(),
-            name: name.trim(),
-            email: email.toLowerCase().trim(),
+            name,
+            email: email.toLowerCase(),
             password: hashedPassword,
-            role: users.length === 0 ? 'admin' : 'customer', // First user is admin
+            role: userRepo.count() === 0 ? 'admin' : 'customer', // First user is admin
             avatar: null,
             phone: '',
             address: {
@@ -78,8 +70,7 @@ router.post('/register', async (req, res) => {
         };
 
         // Save user
-        users.push(newUser);
-        writeData(USERS_FILE, users);
+        userRepo.insert(newUser);
 
         // Create session
         req.session.user = {
@@ -90,8 +81,8 @@ router.post('/register', async (req, res) => {
             avatar: newUser.avatar
         };
 
-        // Initialize cart in session
-        req.session.cart = [];
+        // Keep what was added to the cart before signing up
+        mergeGuestCart(req);
 
         res.status(201).json({
             message: 'Registration successful',
@@ -111,21 +102,12 @@ router.post('/register', async (req, res) => {
  * POST /api/auth/login
  * Login user
  */
-router.post('/login', async (req, res) => {
+router.post('/login', validate({ body: loginSchema }), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        // Validation
-        if (!email || !password) {
-            return res.status(400).json({
-                error: 'Missing fields',
-                message: 'Email and password are required'
-            });
-        }
-
         // Find user
-        const users = readData(USERS_FILE);
-        const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+        const user = userRepo.findOne(u => u.email.toLowerCase() === email.toLowerCase());
 
         if (!user) {
             return res.status(401).json({
@@ -153,10 +135,8 @@ router.post('/login', async (req, res) => {
             avatar: user.avatar
         };
 
-        // Initialize cart in session if not exists
-        if (!req.session.cart) {
-            req.session.cart = [];
-        }
+        // Add the guest cart to the one saved for this user
+        mergeGuestCart(req);
 
         res.json({
             message: 'Login successful',
@@ -175,6 +155,7 @@ router.post('/login', async (req, res) => {
 /**
  * POST /api/auth/logout
  * Logout user
+ * A signed-in user's cart stays saved for their next login.
  */
 router.post('/logout', (req, res) => {
     req.session.destroy((err) => {
@@ -202,7 +183,7 @@ router.get('/me', (req, res) => {
 
     res.json({
         user: req.session.user,
-        cartCount: req.session.cart ? req.session.cart.length : 0
+        cartCount: loadCart(req).length
     });
 });
 
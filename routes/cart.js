@@ -1,54 +1,168 @@
 const express = require('express');
-const { readData } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
 const { requireAuth } = require('../middleware/auth');
+const { findVariant } = require('../utils/variants');
+const { recommend } = require('../utils/recommendations');
+const { currentPricing } = require('../utils/promotions');
+const { MAX_QUANTITY, findCartItemIndex, cartCount, buildCartItems, addCartLine, loadCart, saveCart, loadCouponCode, saveCouponCode } = require('../utils/carts');
+const { findCoupon, evaluateCoupon } = require('../utils/coupons');
+const { CategoryTree } = require('../utils/categories');
+const { SHIPPING_METHODS, roundMoney, loadPricingRules, quote } = require('../utils/pricing');
+const { currentAvailability, releaseHolds, holdCart, holdExpiry } = require('../utils/reservations');
+const { findOwnWishlist, savedForLaterList, addWishlistItem } = require('../utils/wishlists');
+const { currentConverter, displayProduct } = require('../utils/currency');
+const { ID } = require('../utils/schema');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
-const PRODUCTS_FILE = 'products.json';
+const productRepo = repository('products');
+const couponRepo = repository('coupons');
+const categoryRepo = repository('categories');
+const orderRepo = repository('orders');
+const reservationRepo = repository('reservations');
+
+const cartItemSchema = {
+    productId: ID,
+    variantId: { ...ID, required: false, nullable: true }
+};
+
+function viewerId(req) {
+    return req.session.user ? req.session.user.id : null;
+}
+
+/**
+ * Save cart lines the visitor changed
+ * Holds from a checkout started earlier were for the old lines, so they are
+ * dropped; checkout holds the new lines when it starts again.
+ */
+function updateCart(req, cart) {
+    saveCart(req, cart);
+    if (req.session.user) releaseHolds(reservationRepo, req.session.user.id);
+}
+
+/**
+ * What a coupon takes off the cart, throwing when it can't be used
+ */
+function couponDiscount(req, coupon, cartItems) {
+    return evaluateCoupon(coupon, {
+        lines: cartItems.map(item => ({ product: item.product, price: item.product.price, quantity: item.quantity })),
+        tree: new CategoryTree(categoryRepo.findAll()),
+        userId: viewerId(req),
+        orders: orderRepo
+    });
+}
+
+/**
+ * Check the coupon applied to the cart against its current items
+ * Returns the coupon to show in the summary and what it takes off; a coupon
+ * that can't be used right now stays applied with valid false and the reason.
+ */
+function cartCoupon(req, cartItems) {
+    const code = loadCouponCode(req);
+    if (!code) return { coupon: null, discount: 0, freeShipping: false };
+
+    const coupon = findCoupon(couponRepo, code);
+    if (!coupon) {
+        return { coupon: { code, valid: false, message: `Coupon ${code} no longer exists` }, discount: 0, freeShipping: false };
+    }
+
+    try {
+        const { discount, freeShipping } = couponDiscount(req, coupon, cartItems);
+        return {
+            coupon: { code: coupon.code, description: coupon.description, type: coupon.type, valid: true },
+            discount,
+            freeShipping
+        };
+    } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        return { coupon: { code, valid: false, message: error.message }, discount: 0, freeShipping: false };
+    }
+}
 
 /**
  * GET /api/cart
  * Get current cart
+ * Prices include running promotions; savings is what they take off the subtotal.
+ * discount is what the applied coupon takes off.
+ * Shipping and tax are estimated for the address given by country, state and
+ * postcode (the store's country when left out) and shippingMethod (the
+ * cheapest when left out).
+ * Item stock is what the visitor can buy, leaving out what other customers
+ * hold at checkout; reservedUntil is when the visitor's own holds run out.
+ * Amounts are also given in the visitor's currency: each item product's
+ * and shipping option's display, and summary.display for the totals.
  */
-router.get('/', (req, res) => {
+router.get('/', validate({
+    query: {
+        country: { type: 'string', maxLength: 100 },
+        state: { type: 'string', maxLength: 100 },
+        postcode: { type: 'string', maxLength: 20 },
+        shippingMethod: { type: 'string', enum: SHIPPING_METHODS }
+    }
+}), (req, res) => {
     try {
-        const cart = req.session.cart || [];
-        const products = readData(PRODUCTS_FILE);
-
-        // Enrich cart items with product details
-        const cartItems = cart.map(item => {
-            const product = products.find(p => p.id === item.productId);
-            if (!product) return null;
-
-            return {
-                ...item,
-                product: {
-                    id: product.id,
-                    name: product.name,
-                    price: product.price,
-                    originalPrice: product.originalPrice,
-                    image: product.images[0] || '',
-                    stock: product.stock
-                }
-            };
-        }).filter(Boolean);
+        const cartItems = buildCartItems(loadCart(req), viewerId(req));
+        const { coupon, discount, freeShipping } = cartCoupon(req, cartItems);
 
         // Calculate totals
         const subtotal = cartItems.reduce((sum, item) =>
             sum + (item.product.price * item.quantity), 0
         );
-        const shipping = subtotal > 100 ? 0 : 9.99;
-        const tax = subtotal * 0.08; // 8% tax
-        const total = subtotal + shipping + tax;
+        const savings = cartItems.reduce((sum, item) =>
+            sum + ((item.product.basePrice - item.product.price) * item.quantity), 0
+        );
+        const weight = cartItems.reduce((sum, item) => sum + item.product.weight * item.quantity, 0);
+
+        // Nothing may ship to the address asked about; the cart still shows without an estimate
+        let estimate;
+        try {
+            estimate = quote({
+                subtotal,
+                discount,
+                weight,
+                freeShipping,
+                address: { country: req.query.country, state: req.query.state, postcode: req.query.postcode },
+                method: req.query.shippingMethod
+            }, loadPricingRules());
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            estimate = {
+                shipping: null,
+                shippingMethod: null,
+                shippingOptions: [],
+                tax: null,
+                taxRate: null,
+                total: roundMoney(subtotal - discount),
+                shippingMessage: error.message
+            };
+        }
+
+        const converter = currentConverter(req);
+        const withDisplayPrice = option => option && { ...option, display: converter.amounts(option, ['price']) };
+        const summary = {
+            itemCount: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+            subtotal: Math.round(subtotal * 100) / 100,
+            savings: Math.round(savings * 100) / 100,
+            coupon,
+            discount,
+            shipping: estimate.shipping,
+            shippingMethod: withDisplayPrice(estimate.shippingMethod),
+            shippingOptions: estimate.shippingOptions.map(withDisplayPrice),
+            shippingMessage: estimate.shippingMessage,
+            tax: estimate.tax,
+            taxRate: estimate.taxRate,
+            total: estimate.total
+        };
 
         res.json({
-            items: cartItems,
+            items: cartItems.map(item => ({ ...item, product: displayProduct(item.product, converter) })),
             summary: {
-                itemCount: cartItems.reduce((sum, item) => sum + item.quantity, 0),
-                subtotal: Math.round(subtotal * 100) / 100,
-                shipping: Math.round(shipping * 100) / 100,
-                tax: Math.round(tax * 100) / 100,
-                total: Math.round(total * 100) / 100
-            }
+                ...summary,
+                display: converter.amounts(summary, ['subtotal', 'savings', 'discount', 'shipping', 'tax', 'total'])
+            },
+            currency: converter.describe(),
+            reservedUntil: req.session.user ? holdExpiry(req.session.user.id) : null
         });
 
     } catch (error) {
@@ -61,76 +175,61 @@ router.get('/', (req, res) => {
 });
 
 /**
- * POST /api/cart/add
- * Add item to cart
+ * GET /api/cart/recommendations
+ * Products customers bought together with what is in the cart
  */
-router.post('/add', (req, res) => {
+router.get('/recommendations', validate({
+    query: { limit: { type: 'integer', min: 1, max: 12, default: 4 } }
+}), (req, res) => {
     try {
-        const { productId, quantity = 1 } = req.body;
-
-        if (!productId) {
-            return res.status(400).json({
-                error: 'Missing product',
-                message: 'Product ID is required'
-            });
-        }
-
-        // Verify product exists
-        const products = readData(PRODUCTS_FILE);
-        const product = products.find(p => p.id === productId);
-
-        if (!product) {
-            return res.status(404).json({
-                error: 'Not found',
-                message: 'Product not found'
-            });
-        }
-
-        // Check stock
-        if (product.stock < quantity) {
-            return res.status(400).json({
-                error: 'Out of stock',
-                message: 'Not enough stock available'
-            });
-        }
+        const productIds = [...new Set(loadCart(req).map(item => item.productId))];
 
-        // Initialize cart if needed
-        if (!req.session.cart) {
-            req.session.cart = [];
-        }
+        const pricing = currentPricing();
+        const availability = currentAvailability(viewerId(req));
+        const converter = currentConverter(req);
 
-        // Check if item already in cart
-        const existingIndex = req.session.cart.findIndex(
-            item => item.productId === productId
-        );
+        const products = productIds.length > 0
+            ? recommend(productIds, { limit: req.query.limit })
+                .map(({ product, reason }) => ({
+                    ...displayProduct(availability.applyTo(pricing.priceProduct(product)), converter),
+                    reason
+                }))
+            : [];
 
-        if (existingIndex > -1) {
-            // Update quantity
-            const newQuantity = req.session.cart[existingIndex].quantity + parseInt(quantity);
+        res.json({ products });
 
-            if (newQuantity > product.stock) {
-                return res.status(400).json({
-                    error: 'Stock limit',
-                    message: 'Cannot add more than available stock'
-                });
-            }
+    } catch (error) {
+        console.error('Get cart recommendations error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get recommendations'
+        });
+    }
+});
 
-            req.session.cart[existingIndex].quantity = newQuantity;
-        } else {
-            // Add new item
-            req.session.cart.push({
-                productId,
-                quantity: parseInt(quantity),
-                addedAt: new Date().toISOString()
-            });
-        }
+/**
+ * POST /api/cart/add
+ * Add item to cart
+ */
+router.post('/add', validate({
+    body: {
+        ...cartItemSchema,
+        quantity: { type: 'integer', min: 1, max: MAX_QUANTITY, default: 1 }
+    }
+}), (req, res) => {
+    try {
+        const cart = addCartLine(loadCart(req), req.body, viewerId(req));
+        updateCart(req, cart);
 
         res.json({
             message: 'Item added to cart',
-            cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
+            cartCount: cartCount(cart)
         });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
         console.error('Add to cart error:', error);
         res.status(500).json({
             error: 'Server error',
@@ -141,29 +240,26 @@ router.post('/add', (req, res) => {
 
 /**
  * PUT /api/cart/update
- * Update item quantity
+ * Update item quantity (0 removes the item)
  */
-router.put('/update', (req, res) => {
+router.put('/update', validate({
+    body: {
+        ...cartItemSchema,
+        quantity: { type: 'integer', required: true, min: 0, max: MAX_QUANTITY }
+    }
+}), (req, res) => {
     try {
-        const { productId, quantity } = req.body;
-
-        if (!productId || quantity === undefined) {
-            return res.status(400).json({
-                error: 'Missing fields',
-                message: 'Product ID and quantity are required'
-            });
-        }
+        const { productId, variantId, quantity } = req.body;
+        const cart = loadCart(req);
 
-        if (!req.session.cart) {
+        if (cart.length === 0) {
             return res.status(404).json({
                 error: 'Empty cart',
                 message: 'Cart is empty'
             });
         }
 
-        const itemIndex = req.session.cart.findIndex(
-            item => item.productId === productId
-        );
+        const itemIndex = findCartItemIndex(cart, productId, variantId);
 
         if (itemIndex === -1) {
             return res.status(404).json({
@@ -172,27 +268,27 @@ router.put('/update', (req, res) => {
             });
         }
 
-        if (quantity <= 0) {
-            // Remove item if quantity is 0 or less
-            req.session.cart.splice(itemIndex, 1);
+        if (quantity === 0) {
+            cart.splice(itemIndex, 1);
         } else {
             // Check stock
-            const products = readData(PRODUCTS_FILE);
-            const product = products.find(p => p.id === productId);
+            const product = productRepo.findById(productId);
+            const variant = product && variantId ? findVariant(product, variantId) : null;
 
-            if (product && quantity > product.stock) {
+            if (product && quantity > currentAvailability(viewerId(req)).stockFor(product, variant)) {
                 return res.status(400).json({
                     error: 'Stock limit',
                     message: 'Quantity exceeds available stock'
                 });
             }
 
-            req.session.cart[itemIndex].quantity = parseInt(quantity);
+            cart[itemIndex].quantity = quantity;
         }
+        updateCart(req, cart);
 
         res.json({
             message: 'Cart updated',
-            cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
+            cartCount: cartCount(cart)
         });
 
     } catch (error) {
@@ -206,22 +302,25 @@ router.put('/update', (req, res) => {
 
 /**
  * DELETE /api/cart/remove/:productId
- * Remove item from cart
+ * Remove item from cart (pass ?variantId= for a specific variant)
  */
-router.delete('/remove/:productId', (req, res) => {
+router.delete('/remove/:productId', validate({
+    params: { productId: ID },
+    query: { variantId: { ...ID, required: false } }
+}), (req, res) => {
     try {
         const { productId } = req.params;
+        const { variantId } = req.query;
+        const cart = loadCart(req);
 
-        if (!req.session.cart) {
+        if (cart.length === 0) {
             return res.status(404).json({
                 error: 'Empty cart',
                 message: 'Cart is empty'
             });
         }
 
-        const itemIndex = req.session.cart.findIndex(
-            item => item.productId === productId
-        );
+        const itemIndex = findCartItemIndex(cart, productId, variantId);
 
         if (itemIndex === -1) {
             return res.status(404).json({
@@ -230,11 +329,12 @@ router.delete('/remove/:productId', (req, res) => {
             });
         }
 
-        req.session.cart.splice(itemIndex, 1);
+        cart.splice(itemIndex, 1);
+        updateCart(req, cart);
 
         res.json({
             message: 'Item removed from cart',
-            cartCount: req.session.cart.reduce((sum, item) => sum + item.quantity, 0)
+            cartCount: cartCount(cart)
         });
 
     } catch (error) {
@@ -246,13 +346,66 @@ router.delete('/remove/:productId', (req, res) => {
     }
 });
 
+/**
+ * POST /api/cart/save-for-later
+ * Move a line out of the cart to a wishlist (the "Saved for later" list
+ * unless wishlistId names another)
+ */
+router.post('/save-for-later', requireAuth, validate({
+    body: { ...cartItemSchema, wishlistId: { ...ID, required: false } }
+}), async (req, res) => {
+    try {
+        const { productId, variantId, wishlistId } = req.body;
+        const userId = req.session.user.id;
+
+        const result = await transaction(tx => {
+            const carts = tx.repository('carts');
+            const wishlists = tx.repository('wishlists');
+            const cart = loadCart(req, carts);
+            const index = findCartItemIndex(cart, productId, variantId);
+
+            if (index === -1) {
+                throw new HttpError(404, 'Not in cart', 'Item not found in cart');
+            }
+
+            const wishlist = wishlistId
+                ? findOwnWishlist(wishlists, wishlistId, userId)
+                : savedForLaterList(wishlists, userId);
+            const items = addWishlistItem(wishlist.items, { productId, variantId }, tx.repository('products'), currentPricing(tx));
+            wishlists.update(wishlist.id, { items, updatedAt: new Date().toISOString() });
+
+            cart.splice(index, 1);
+            saveCart(req, cart, carts);
+            releaseHolds(tx.repository('reservations'), userId);
+
+            return { cart, wishlist };
+        });
+
+        res.json({
+            message: `Moved to ${result.wishlist.name}`,
+            wishlistId: result.wishlist.id,
+            cartCount: cartCount(result.cart)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Save for later error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to save item for later'
+        });
+    }
+});
+
 /**
  * DELETE /api/cart/clear
  * Clear entire cart
  */
 router.delete('/clear', (req, res) => {
     try {
-        req.session.cart = [];
+        updateCart(req, []);
         res.json({ message: 'Cart cleared' });
     } catch (error) {
         console.error('Clear cart error:', error);
@@ -263,4 +416,121 @@ router.delete('/clear', (req, res) => {
     }
 });
 
+/**
+ * POST /api/cart/reservation
+ * Hold the cart's stock while the customer checks out
+ * Starting again (or changing the cart) replaces the holds.
+ */
+router.post('/reservation', requireAuth, async (req, res) => {
+    try {
+        const holds = await transaction(tx => {
+            const cart = loadCart(req, tx.repository('carts'));
+
+            if (cart.length === 0) {
+                throw new HttpError(400, 'Empty cart', 'Your cart is empty');
+            }
+            return holdCart(tx, req.session.user.id, cart);
+        });
+
+        res.json({
+            message: 'Stock reserved',
+            reservedUntil: holds[0].expiresAt,
+            items: holds.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }))
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Reserve stock error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to reserve stock'
+        });
+    }
+});
+
+/**
+ * DELETE /api/cart/reservation
+ * Give back the stock held for the customer's checkout
+ */
+router.delete('/reservation', requireAuth, async (req, res) => {
+    try {
+        await transaction(tx => releaseHolds(tx.repository('reservations'), req.session.user.id));
+        res.json({ message: 'Reservation released' });
+    } catch (error) {
+        console.error('Release reservation error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to release reservation'
+        });
+    }
+});
+
+/**
+ * POST /api/cart/coupon
+ * Apply a coupon code to the cart, replacing any code applied before
+ */
+router.post('/coupon', validate({
+    body: { code: { type: 'string', required: true, maxLength: 50 } }
+}), (req, res) => {
+    try {
+        const cartItems = buildCartItems(loadCart(req), viewerId(req));
+
+        if (cartItems.length === 0) {
+            return res.status(400).json({
+                error: 'Empty cart',
+                message: 'Add something to your cart before applying a coupon'
+            });
+        }
+
+        const coupon = findCoupon(couponRepo, req.body.code);
+
+        if (!coupon) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Coupon code not found'
+            });
+        }
+
+        const { discount, freeShipping } = couponDiscount(req, coupon, cartItems);
+        saveCouponCode(req, coupon.code);
+
+        res.json({
+            message: 'Coupon applied',
+            coupon: { code: coupon.code, description: coupon.description, type: coupon.type },
+            discount,
+            freeShipping,
+            display: currentConverter(req).amounts({ discount }, ['discount'])
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Apply coupon error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to apply coupon'
+        });
+    }
+});
+
+/**
+ * DELETE /api/cart/coupon
+ * Remove the coupon code from the cart
+ */
+router.delete('/coupon', (req, res) => {
+    try {
+        saveCouponCode(req, null);
+        res.json({ message: 'Coupon removed' });
+    } catch (error) {
+        console.error('Remove coupon error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to remove coupon'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { toCsv, fromCsv, fromJson, planImport } = require('../utils/catalog');
+const { getProductIndex } = require('../utils/search');
+const { recordStockChanges } = require('../utils/inventory');
+const { recordRevision } = require('../utils/products');
+const { CategoryTree } = require('../utils/categories');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const productRepo = repository('products');
+const FORMATS = ['csv', 'json'];
+
+// Import files are posted as raw text, with the format in ?format=
+const rawBody = express.text({ type: ['text/plain', 'text/csv', 'application/octet-stream'], limit: '10mb' });
+
+/**
+ * GET /api/catalog/export
+ * Download the catalog as CSV or JSON (admin only)
+ */
+router.get('/export', requireAdmin, validate({
+    query: { format: { type: 'string', enum: FORMATS, default: 'csv' } }
+}), (req, res) => {
+    try {
+        const { format } = req.query;
+
+        const products = productRepo.findAll();
+
+        res.attachment(`products.${format}`);
+        if (format === 'csv') {
+            res.type('text/csv').send(toCsv(products));
+        } else {
+            res.type('application/json').send(JSON.stringify(products, null, 2));
+        }
+
+    } catch (error) {
+        console.error('Export catalog error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to export catalog'
+        });
+    }
+});
+
+/**
+ * POST /api/catalog/import?format=csv|json&dryRun=true
+ * Create or update products by SKU from an uploaded file (admin only)
+ *
+ * With dryRun=true nothing is written and the row-level report is returned.
+ * Otherwise the import is all-or-nothing: any invalid row rejects the file.
+ */
+router.post('/import', requireAdmin, rawBody, validate({
+    query: {
+        format: { type: 'string', enum: FORMATS, default: 'csv' },
+        dryRun: { type: 'boolean', default: false }
+    }
+}), async (req, res) => {
+    try {
+        const { format, dryRun } = req.query;
+
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({
+                error: 'Missing file',
+                message: 'Send the file contents as the request body'
+            });
+        }
+
+        // CSV rows are numbered by the line they are on, JSON records from 1
+        let records;
+        let rowNumbers = null;
+        try {
+            if (format === 'csv') {
+                ({ records, rowNumbers } = fromCsv(req.body));
+            } else {
+                records = fromJson(req.body);
+            }
+        } catch (parseError) {
+            return res.status(400).json({
+                error: 'Invalid file',
+                message: parseError.message
+            });
+        }
+
+        if (dryRun) {
+            const tree = new CategoryTree(repository('categories').findAll());
+            const revisions = repository('productRevisions').findAll();
+            const { summary, rows } = planImport(records, productRepo.findAll(), { tree, rowNumbers, revisions });
+            return res.json({ dryRun: true, summary, rows });
+        }
+
+        const plan = await transaction(tx => {
+            const products = tx.repository('products');
+            const tree = new CategoryTree(tx.repository('categories').findAll());
+            const revisions = tx.repository('productRevisions');
+            const plan = planImport(records, products.findAll(), { tree, rowNumbers, revisions: revisions.findAll() });
+
+            if (plan.summary.errors > 0) {
+                const error = new HttpError(400, 'Invalid rows', `${plan.summary.errors} row(s) failed validation, nothing was imported`);
+                error.report = { summary: plan.summary, rows: plan.rows };
+                throw error;
+            }
+
+            const movements = tx.repository('stockMovements');
+            const details = { reason: 'Catalog import', userId: req.session.user.id };
+            const revision = { user: req.session.user, note: 'Catalog import' };
+
+            for (const { action, product } of plan.writes) {
+                if (action === 'create') {
+                    products.insert(product);
+                    recordStockChanges(movements, null, product, { ...details, type: 'receipt' });
+                    recordRevision(revisions, null, product, { ...revision, action: 'create' });
+                } else {
+                    const existing = products.findById(product.id);
+                    products.replace(product.id, product);
+                    recordStockChanges(movements, existing, product, { ...details, type: 'adjustment' });
+                    recordRevision(revisions, existing, product, { ...revision, action: 'update' });
+                }
+            }
+            return plan;
+        });
+
+        plan.writes.forEach(({ product }) => getProductIndex().upsert(product));
+
+        res.json({
+            message: `Imported ${plan.summary.create} new and ${plan.summary.update} updated product(s)`,
+            summary: plan.summary,
+            rows: plan.rows
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ ...error.toJSON(), ...error.report });
+        }
+        console.error('Import catalog error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to import catalog'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { getProductIndex } = require('../utils/search');
+const { recordRevision } = require('../utils/products');
+const { CategoryTree, slugify, productCategoryFields, resolveCategoryInput } = require('../utils/categories');
+const { ID, partial } = require('../utils/schema');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const categoryRepo = repository('categories');
+const productRepo = repository('products');
+
+const categorySchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    slug: { type: 'string', maxLength: 100, check: slug => slug === '' || slugify(slug) !== '' || 'must contain letters or numbers' },
+    parentId: { ...ID, required: false, nullable: true, default: null },
+    position: { type: 'integer', min: 0 },
+    description: { type: 'string', maxLength: 1000, default: '' }
+};
+
+function loadTree(categories) {
+    return new CategoryTree(categories.findAll());
+}
+
+/**
+ * Update the category strings of products in a category or below it,
+ * after it has been renamed or moved. Returns the updated products.
+ */
+function refreshProducts(products, tree, categoryId) {
+    const ids = tree.descendantIds(categoryId);
+
+    return products
+        .query(p => ids.has(p.categoryId))
+        .map(p => products.update(p.id, productCategoryFields(tree, p.categoryId)));
+}
+
+/**
+ * GET /api/categories
+ * All categories as a flat list in tree order, each with its depth
+ */
+router.get('/', (req, res) => {
+    try {
+        const tree = loadTree(categoryRepo);
+        const categories = [];
+        const visit = (parentId, depth) => tree.childrenOf(parentId).forEach(category => {
+            categories.push({ ...category, depth });
+            visit(category.id, depth + 1);
+        });
+        visit(null, 0);
+
+        res.json({ categories });
+
+    } catch (error) {
+        console.error('Get categories error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get categories'
+        });
+    }
+});
+
+/**
+ * GET /api/categories/tree
+ * Nested categories with the number of active products in each, subcategories included
+ */
+router.get('/tree', (req, res) => {
+    try {
+        const products = productRepo.query({ status: 'active' });
+        const tree = loadTree(categoryRepo);
+
+        res.json({
+            categories: tree.toNested(ids => products.filter(p => ids.has(p.categoryId)).length)
+        });
+
+    } catch (error) {
+        console.error('Get category tree error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get category tree'
+        });
+    }
+});
+
+/**
+ * GET /api/categories/:id
+ * Get a category by ID or slug, with its path from the top and its children
+ */
+router.get('/:id', validate({ params: { id: ID } }), (req, res) => {
+    try {
+        const tree = loadTree(categoryRepo);
+        const category = tree.get(req.params.id) ||
+            [...tree.byId.values()].find(c => c.slug === req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Category not found'
+            });
+        }
+
+        res.json({
+            category,
+            path: tree.path(category.id).map(({ id, name, slug }) => ({ id, name, slug })),
+            children: tree.childrenOf(category.id)
+        });
+
+    } catch (error) {
+        console.error('Get category error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get category'
+        });
+    }
+});
+
+/**
+ * POST /api/categories
+ * Create a category, at the top level or under parentId (admin only)
+ */
+router.post('/', requireAdmin, validate({ body: categorySchema }), async (req, res) => {
+    try {
+        const category = await transaction(tx => {
+            const categories = tx.repository('categories');
+            const input = resolveCategoryInput(req.body, loadTree(categories));
+
+            return categories.insert({
+                id: generateId(),
+                ...input,
+                createdAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            });
+        });
+
+        res.status(201).json({
+            message: 'Category created successfully',
+            category
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Create category error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create category'
+        });
+    }
+});
+
+/**
+ * PUT /api/categories/:id
+ * Rename, move or reorder a category (admin only)
+ * Products in the category or below it get its new name.
+ */
+router.put('/:id', requireAdmin, validate({ params: { id: ID }, body: partial(categorySchema) }), async (req, res) => {
+    try {
+        const { category, updatedProducts } = await transaction(tx => {
+            const categories = tx.repository('categories');
+            const tree = loadTree(categories);
+            const existing = tree.get(req.params.id);
+
+            if (!existing) {
+                throw new HttpError(404, 'Not found', 'Category not found');
+            }
+
+            const input = resolveCategoryInput(req.body, tree, existing);
+            const moved = input.parentId !== undefined && input.parentId !== (existing.parentId || null);
+
+            // A moved category goes to the end of its new siblings unless told otherwise
+            if (moved && input.position === undefined) {
+                input.position = tree.childrenOf(input.parentId).length;
+            }
+
+            const category = categories.update(existing.id, { ...input, updatedAt: getTimestamp() });
+
+            const updatedProducts = moved || category.name !== existing.name
+                ? refreshProducts(tx.repository('products'), loadTree(categories), category.id)
+                : [];
+
+            return { category, updatedProducts };
+        });
+        updatedProducts.forEach(p => getProductIndex().upsert(p));
+
+        res.json({
+            message: 'Category updated successfully',
+            category,
+            updatedProducts: updatedProducts.length
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update category error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update category'
+        });
+    }
+});
+
+/**
+ * DELETE /api/categories/:id
+ * Delete a category without subcategories (admin only)
+ * Its products, archived ones included, have to be moved to another category
+ * with moveTo, which merges the two.
+ */
+router.delete('/:id', requireAdmin, validate({
+    params: { id: ID },
+    query: { moveTo: { ...ID, required: false } }
+}), async (req, res) => {
+    try {
+        const { moveTo } = req.query;
+
+        const movedProducts = await transaction(tx => {
+            const categories = tx.repository('categories');
+            const products = tx.repository('products');
+            const tree = loadTree(categories);
+            const category = tree.get(req.params.id);
+
+            if (!category) {
+                throw new HttpError(404, 'Not found', 'Category not found');
+            }
+
+            if (tree.childrenOf(category.id).length > 0) {
+                throw new HttpError(409, 'Category in use', 'Move or delete its subcategories first');
+            }
+
+            const assigned = products.query({ categoryId: category.id });
+            const target = moveTo ? tree.get(moveTo) : null;
+
+            if (moveTo && (!target || target.id === category.id)) {
+                throw new HttpError(400, 'Invalid category', 'The category to move products to was not found');
+            }
+
+            if (assigned.length > 0 && !target) {
+                throw new HttpError(409, 'Category in use',
+                    `${assigned.length} product(s) are in this category; choose a category to move them to`);
+            }
+
+            categories.delete(category.id);
+
+            const remaining = loadTree(categories);
+            const revisions = tx.repository('productRevisions');
+
+            return assigned.map(product => {
+                const movedProduct = products.update(product.id, {
+                    ...productCategoryFields(remaining, target.id),
+                    updatedAt: getTimestamp()
+                });
+                recordRevision(revisions, product, movedProduct, {
+                    action: 'update',
+                    user: req.session.user,
+                    note: `Category ${category.name} merged into ${target.name}`
+                });
+                return movedProduct;
+            });
+        });
+        movedProducts.forEach(p => getProductIndex().upsert(p));
+
+        res.json({
+            message: 'Category deleted successfully',
+            movedProducts: movedProducts.length
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete category error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete category'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { CategoryTree } = require('../utils/categories');
+const { COUPON_TYPES, checkCoupon } = require('../utils/coupons');
+const { ID, partial } = require('../utils/schema');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const couponRepo = repository('coupons');
+
+const limit = { type: 'integer', min: 1, nullable: true, default: null };
+
+const couponSchema = {
+    code: { type: 'string', required: true, maxLength: 50, pattern: /^[\w-]+$/ },
+    description: { type: 'string', maxLength: 500, default: '' },
+    type: { type: 'string', required: true, enum: COUPON_TYPES },
+    value: { type: 'number', min: 0, default: 0 },
+    minSubtotal: { type: 'number', min: 0, default: 0 },
+    productIds: { type: 'array', items: ID, maxLength: 500, default: [] },
+    categoryIds: { type: 'array', items: ID, maxLength: 100, default: [] },
+    perCustomerLimit: limit,
+    usageLimit: limit,
+    expiresAt: {
+        type: 'string',
+        nullable: true,
+        default: null,
+        check: value => !Number.isNaN(Date.parse(value)) || 'must be a date and time'
+    },
+    enabled: { type: 'boolean', default: true }
+};
+
+function couponContext(tx) {
+    return {
+        coupons: tx.repository('coupons'),
+        tree: new CategoryTree(tx.repository('categories').findAll()),
+        products: tx.repository('products')
+    };
+}
+
+/**
+ * Store the expiry in one format so it compares and displays consistently
+ */
+function normalizeExpiry(input) {
+    return input.expiresAt ? { ...input, expiresAt: new Date(input.expiresAt).toISOString() } : input;
+}
+
+/**
+ * GET /api/coupons
+ * All coupons, newest first (admin only)
+ */
+router.get('/', requireAdmin, (req, res) => {
+    try {
+        const coupons = couponRepo.findAll()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({ coupons });
+
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get coupons'
+        });
+    }
+});
+
+/**
+ * GET /api/coupons/:id
+ * Get a coupon by ID (admin only)
+ */
+router.get('/:id', requireAdmin, validate({ params: { id: ID } }), (req, res) => {
+    try {
+        const coupon = couponRepo.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Coupon not found'
+            });
+        }
+
+        res.json({ coupon });
+
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get coupon'
+        });
+    }
+});
+
+/**
+ * POST /api/coupons
+ * Create a coupon (admin only)
+ */
+router.post('/', requireAdmin, validate({ body: couponSchema }), async (req, res) => {
+    try {
+        const coupon = await transaction(tx => {
+            const input = checkCoupon(normalizeExpiry(req.body), couponContext(tx));
+
+            return tx.repository('coupons').insert({
+                id: generateId(),
+                ...input,
+                redemptions: 0,
+                createdAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            });
+        });
+
+        res.status(201).json({
+            message: 'Coupon created successfully',
+            coupon
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Create coupon error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create coupon'
+        });
+    }
+});
+
+/**
+ * PUT /api/coupons/:id
+ * Update a coupon's code, discount, conditions or limits (admin only)
+ * Redemptions so far are kept.
+ */
+router.put('/:id', requireAdmin, validate({ params: { id: ID }, body: partial(couponSchema) }), async (req, res) => {
+    try {
+        const coupon = await transaction(tx => {
+            const coupons = tx.repository('coupons');
+            const existing = coupons.findById(req.params.id);
+
+            if (!existing) {
+                throw new HttpError(404, 'Not found', 'Coupon not found');
+            }
+
+            const input = normalizeExpiry(req.body);
+            const { code } = checkCoupon(input, couponContext(tx), existing);
+
+            return coupons.update(existing.id, { ...input, code, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Coupon updated successfully',
+            coupon
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update coupon error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update coupon'
+        });
+    }
+});
+
+/**
+ * DELETE /api/coupons/:id
+ * Delete a coupon (admin only)
+ * Orders that used it keep its code; carts it was applied to show it as no longer valid.
+ */
+router.delete('/:id', requireAdmin, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const coupons = tx.repository('coupons');
+
+            if (!coupons.findById(req.params.id)) {
+                throw new HttpError(404, 'Not found', 'Coupon not found');
+            }
+            coupons.delete(req.params.id);
+        });
+
+        res.json({ message: 'Coupon deleted successfully' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete coupon error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete coupon'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const config = require('../config');
+const { getTimestamp } = require('../utils/helpers');
+const { transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { ROUNDING_MODES, isKnownCurrency, currencyName, baseCurrency, loadCurrencies, displayCurrency, Converter } = require('../utils/currency');
+const { partial } = require('../utils/schema');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+const CODE = {
+    type: 'string',
+    required: true,
+    pattern: /^[A-Z]{3}$/,
+    check: value => isKnownCurrency(value) || 'is not a known currency code'
+};
+
+const currencySchema = {
+    name: { type: 'string', maxLength: 100 },
+    rate: {
+        type: 'number',
+        required: true,
+        check: value => value > 0 || 'must be more than 0'
+    },
+    decimals: { type: 'integer', min: 0, max: 4, default: 2 },
+    roundingIncrement: {
+        type: 'number',
+        nullable: true,
+        default: null,
+        check: value => value > 0 || 'must be more than 0'
+    },
+    roundingMode: { type: 'string', enum: ROUNDING_MODES, default: 'nearest' },
+    enabled: { type: 'boolean', default: true }
+};
+
+/**
+ * The base currency can be renamed and its rounding changed, but it always
+ * has rate 1 and can't be switched off
+ */
+function checkBaseChanges(changes) {
+    if (changes.rate !== undefined && changes.rate !== 1) {
+        throw new HttpError(400, 'Base currency', `The rate of ${config.currency.base} is always 1`);
+    }
+    if (changes.enabled === false) {
+        throw new HttpError(400, 'Base currency', `${config.currency.base} can't be disabled`);
+    }
+}
+
+/**
+ * GET /api/currencies
+ * Currencies customers can choose to see amounts in, and the one this visitor uses
+ * Admins can pass includeDisabled=true to also get disabled currencies.
+ */
+router.get('/', validate({
+    query: { includeDisabled: { type: 'boolean', default: false } }
+}), (req, res) => {
+    try {
+        const isAdmin = req.session.user && req.session.user.role === 'admin';
+        const showAll = isAdmin && req.query.includeDisabled;
+
+        const currencies = loadCurrencies()
+            .filter(c => showAll || c.enabled)
+            .map(c => (showAll ? c : new Converter(c).describe()));
+
+        res.json({
+            base: config.currency.base,
+            selected: displayCurrency(req).code,
+            currencies
+        });
+
+    } catch (error) {
+        console.error('Get currencies error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get currencies'
+        });
+    }
+});
+
+/**
+ * PUT /api/currencies/selected
+ * Choose the currency amounts are shown in for the rest of the session
+ */
+router.put('/selected', validate({
+    body: { code: { type: 'string', required: true, maxLength: 3 } }
+}), (req, res) => {
+    try {
+        const code = req.body.code.toUpperCase();
+        const currency = loadCurrencies().find(c => c.code === code && c.enabled);
+
+        if (!currency) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Prices can't be shown in ${code}`
+            });
+        }
+
+        req.session.currency = currency.code;
+
+        res.json({
+            message: `Prices are now shown in ${currency.code}`,
+            currency: new Converter(currency).describe()
+        });
+
+    } catch (error) {
+        console.error('Select currency error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to select currency'
+        });
+    }
+});
+
+/**
+ * POST /api/currencies
+ * Offer a currency with its exchange rate and rounding rules (admin only)
+ */
+router.post('/', requireAdmin, validate({ body: { code: CODE, ...currencySchema } }), async (req, res) => {
+    try {
+        const { code, name, ...rules } = req.body;
+
+        const currency = await transaction(tx => {
+            const currencies = tx.repository('currencies');
+
+            if (code === config.currency.base || currencies.findById(code)) {
+                throw new HttpError(409, 'Already exists', `${code} is already set up`);
+            }
+
+            return currencies.insert({
+                id: code,
+                code,
+                name: name || currencyName(code),
+                ...rules,
+                updatedAt: getTimestamp()
+            });
+        });
+
+        res.status(201).json({
+            message: 'Currency created successfully',
+            currency
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Create currency error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create currency'
+        });
+    }
+});
+
+/**
+ * PUT /api/currencies/:code
+ * Update a currency's exchange rate, rounding rules or name, or switch it
+ * on or off (admin only)
+ * Orders already placed keep the rate they were placed at.
+ */
+router.put('/:code', requireAdmin, validate({
+    params: { code: CODE },
+    body: partial(currencySchema)
+}), async (req, res) => {
+    try {
+        const { code } = req.params;
+
+        const currency = await transaction(tx => {
+            const currencies = tx.repository('currencies');
+            let existing = currencies.findById(code);
+
+            if (code === config.currency.base) {
+                checkBaseChanges(req.body);
+                existing = existing || currencies.insert(baseCurrency());
+            }
+            if (!existing) {
+                throw new HttpError(404, 'Not found', 'Currency not found');
+            }
+
+            return currencies.update(code, { ...req.body, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Currency updated successfully',
+            currency
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update currency error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update currency'
+        });
+    }
+});
+
+/**
+ * DELETE /api/currencies/:code
+ * Stop offering a currency (admin only)
+ * Customers who chose it see the base currency again.
+ */
+router.delete('/:code', requireAdmin, validate({ params: { code: CODE } }), async (req, res) => {
+    try {
+        const { code } = req.params;
+
+        if (code === config.currency.base) {
+            return res.status(400).json({
+                error: 'Base currency',
+                message: `${code} is the base currency and can't be deleted`
+            });
+        }
+
+        await transaction(tx => {
+            const currencies = tx.repository('currencies');
+
+            if (!currencies.findById(code)) {
+                throw new HttpError(404, 'Not found', 'Currency not found');
+            }
+            currencies.delete(code);
+        });
+
+        res.json({ message: 'Currency deleted successfully' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete currency error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete currency'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { MOVEMENT_TYPES, reorderThreshold, isLowStock, moveStock } = require('../utils/inventory');
+const { hasVariants, variantLabel } = require('../utils/variants');
+const { ID, PAGINATION } = require('../utils/schema');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const productRepo = repository('products');
+const movementRepo = repository('stockMovements');
+
+const stockChangeSchema = {
+    productId: ID,
+    variantId: { ...ID, required: false, nullable: true, default: null },
+    reason: { type: 'string', maxLength: 200, default: '' }
+};
+
+/**
+ * GET /api/inventory/movements
+ * Stock movement history, newest first (admin only)
+ */
+router.get('/movements', requireAdmin, validate({
+    query: {
+        productId: { ...ID, required: false },
+        variantId: { ...ID, required: false },
+        type: { type: 'string', enum: MOVEMENT_TYPES },
+        orderId: { ...ID, required: false },
+        ...PAGINATION
+    }
+}), (req, res) => {
+    try {
+        const { productId, variantId, type, orderId, limit, page } = req.query;
+
+        let movements = movementRepo.findAll();
+
+        if (productId) {
+            movements = movements.filter(m => m.productId === productId);
+        }
+        if (variantId) {
+            movements = movements.filter(m => m.variantId === variantId);
+        }
+        if (type) {
+            movements = movements.filter(m => m.type === type);
+        }
+        if (orderId) {
+            movements = movements.filter(m => m.orderId === orderId);
+        }
+
+        movements.reverse();
+
+        const pageSize = limit ? parseInt(limit) : 50;
+        const pageNum = parseInt(page);
+        const startIndex = (pageNum - 1) * pageSize;
+
+        res.json({
+            movements: movements.slice(startIndex, startIndex + pageSize),
+            pagination: {
+                total: movements.length,
+                page: pageNum,
+                pageSize: pageSize,
+                totalPages: Math.ceil(movements.length / pageSize)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock movements error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get stock movements'
+        });
+    }
+});
+
+/**
+ * GET /api/inventory/low-stock
+ * Products whose stock is below their reorder threshold, emptiest first (admin only)
+ */
+router.get('/low-stock', requireAdmin, (req, res) => {
+    try {
+        const products = productRepo.findAll()
+            .filter(p => p.status !== 'archived' && isLowStock(p))
+            .map(p => ({
+                id: p.id,
+                sku: p.sku,
+                name: p.name,
+                stock: p.stock,
+                reorderThreshold: reorderThreshold(p),
+                variants: hasVariants(p)
+                    ? p.variants.map(v => ({ id: v.id, sku: v.sku, label: variantLabel(v), stock: v.stock }))
+                    : []
+            }))
+            .sort((a, b) => (a.stock - a.reorderThreshold) - (b.stock - b.reorderThreshold));
+
+        res.json({ products });
+
+    } catch (error) {
+        console.error('Get low stock error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get low stock products'
+        });
+    }
+});
+
+/**
+ * POST /api/inventory/receive
+ * Book in stock received from a supplier (admin only)
+ */
+router.post('/receive', requireAdmin, validate({
+    body: {
+        ...stockChangeSchema,
+        quantity: { type: 'integer', required: true, min: 1 }
+    }
+}), async (req, res) => {
+    try {
+        const change = req.body;
+
+        const { product, movement } = await transaction(tx => moveStock(
+            tx.repository('products'),
+            tx.repository('stockMovements'),
+            {
+                ...change,
+                type: 'receipt',
+                reason: change.reason || 'Stock received',
+                userId: req.session.user.id
+            }
+        ));
+
+        res.status(201).json({
+            message: 'Stock received',
+            product,
+            movement
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Receive stock error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to receive stock'
+        });
+    }
+});
+
+/**
+ * POST /api/inventory/adjust
+ * Correct stock by a signed quantity, e.g. after a count or for damaged goods (admin only)
+ */
+router.post('/adjust', requireAdmin, validate({
+    body: {
+        ...stockChangeSchema,
+        quantity: { type: 'integer', required: true, check: q => q !== 0 || 'must not be zero' },
+        reason: { type: 'string', required: true, maxLength: 200 }
+    }
+}), async (req, res) => {
+    try {
+        const change = req.body;
+
+        const { product, movement } = await transaction(tx => moveStock(
+            tx.repository('products'),
+            tx.repository('stockMovements'),
+            { ...change, type: 'adjustment', userId: req.session.user.id }
+        ));
+
+        res.status(201).json({
+            message: 'Stock adjusted',
+            product,
+            movement
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Adjust stock error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to adjust stock'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,113 +1,290 @@
 const express = require('express');
-const { readData, writeData, generateId, getTimestamp } = require('../utils/helpers');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { findVariant, variantLabel, resolveVariant } = require('../utils/variants');
+const { moveStock } = require('../utils/inventory');
+const { isActive } = require('../utils/products');
+const { getCoPurchaseIndex } = require('../utils/recommendations');
+const { currentPricing } = require('../utils/promotions');
+const { currentAvailability, releaseHolds } = require('../utils/reservations');
+const { loadCart, saveCart, loadCouponCode, saveCouponCode } = require('../utils/carts');
+const { findCoupon, evaluateCoupon, redeemCoupon } = require('../utils/coupons');
+const { ORDER_STATUSES, nextStatuses, customerCancellable, transitionOrder } = require('../utils/orders');
+const {
+    RETURN_REASONS,
+    RETURN_STATUSES,
+    returnDeadline,
+    returnableQuantities,
+    refundableAmount,
+    requestReturn,
+    updateReturn,
+    refundOrder
+} = require('../utils/returns');
+const { nextInvoiceNumber, invoiceDocument, packingSlipDocument, renderHtml, renderPdf } = require('../utils/documents');
+const { CategoryTree } = require('../utils/categories');
+const { SHIPPING_METHODS, loadPricingRules, quote } = require('../utils/pricing');
+const { Converter, currentConverter, displayOrder } = require('../utils/currency');
+const { ID } = require('../utils/schema');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
-const ORDERS_FILE = 'orders.json';
-const PRODUCTS_FILE = 'products.json';
+const orderRepo = repository('orders');
+
+const PAYMENT_METHODS = ['card', 'paypal'];
+
+const DOCUMENT_FORMATS = ['html', 'pdf'];
+
+const addressLine = { type: 'string', required: true, maxLength: 100 };
+
+const checkoutSchema = {
+    shippingAddress: {
+        type: 'object',
+        required: true,
+        properties: {
+            street: addressLine,
+            city: addressLine,
+            state: addressLine,
+            zipCode: { type: 'string', required: true, maxLength: 20 },
+            country: { type: 'string', maxLength: 100 }
+        }
+    },
+    paymentMethod: { type: 'string', enum: PAYMENT_METHODS, default: 'card' },
+    // The cheapest method on offer when not chosen
+    shippingMethod: { type: 'string', enum: SHIPPING_METHODS, nullable: true, default: null }
+};
+
+const returnSchema = {
+    items: {
+        type: 'array',
+        required: true,
+        maxLength: 50,
+        items: {
+            type: 'object',
+            properties: {
+                productId: ID,
+                variantId: { ...ID, required: false, nullable: true },
+                quantity: { type: 'integer', required: true, min: 1 },
+                reason: { type: 'string', required: true, enum: RETURN_REASONS }
+            }
+        },
+        check: value => value.length > 0 || 'must list at least one item'
+    },
+    comment: { type: 'string', maxLength: 1000 }
+};
+
+/**
+ * An order as the API returns it: amounts in its display currency too, the
+ * statuses it can be moved to next, whether the customer can still cancel
+ * it, and how many of each item can still be returned and until when
+ */
+function orderView(order) {
+    const view = displayOrder(order);
+    const returnable = returnableQuantities(order);
+
+    return {
+        ...view,
+        items: view.items.map((item, i) => ({ ...item, returnable: returnable[i] })),
+        nextStatuses: nextStatuses(order.status),
+        canCancel: customerCancellable(order),
+        returnableUntil: returnDeadline(order),
+        refundable: refundableAmount(order)
+    };
+}
+
+/**
+ * Send documents as a printable page, or as a PDF download
+ */
+function sendDocuments(res, documents, { format, title, filename }) {
+    if (format === 'pdf') {
+        res.attachment(`${filename}.pdf`);
+        return res.type('application/pdf').send(renderPdf(documents, title));
+    }
+    res.type('html').send(renderHtml(documents, title));
+}
+
+/**
+ * Load an order in a transaction, checking the signed-in user may change it
+ * Admins may change any order.
+ */
+function findOwnOrder(orders, id, user) {
+    const order = orders.findById(id);
+
+    if (!order) {
+        throw new HttpError(404, 'Not found', 'Order not found');
+    }
+    if (order.userId !== user.id && user.role !== 'admin') {
+        throw new HttpError(403, 'Access denied', 'You cannot change this order');
+    }
+    return order;
+}
 
 /**
  * POST /api/orders
  * Create order from cart (checkout)
+ * The order is charged in the base currency and keeps the customer's display
+ * currency with the rate and rounding in force, so it shows the same amounts later.
  */
-router.post('/', requireAuth, (req, res) => {
+router.post('/', requireAuth, validate({ body: checkoutSchema }), async (req, res) => {
     try {
-        const { shippingAddress, paymentMethod = 'card' } = req.body;
+        const { shippingAddress, paymentMethod, shippingMethod } = req.body;
+
+        // Check stock, decrement it and write the order as one unit so a failure
+        // can't leave stock reduced without an order, and concurrent checkouts
+        // can't both claim the last item
+        const order = await transaction(tx => {
+            const products = tx.repository('products');
+            const orders = tx.repository('orders');
+            const movements = tx.repository('stockMovements');
+            const carts = tx.repository('carts');
+            const cart = loadCart(req, carts);
+
+            if (cart.length === 0) {
+                throw new HttpError(400, 'Empty cart', 'Your cart is empty');
+            }
 
-        // Validate cart
-        if (!req.session.cart || req.session.cart.length === 0) {
-            return res.status(400).json({
-                error: 'Empty cart',
-                message: 'Your cart is empty'
-            });
-        }
+            const orderId = generateId();
+            const orderNumber = `ORD-${Date.now().toString(36).toUpperCase()}`;
+            const pricing = currentPricing(tx);
+            const availability = currentAvailability(req.session.user.id, tx);
 
-        // Validate shipping address
-        if (!shippingAddress || !shippingAddress.street || !shippingAddress.city ||
-            !shippingAddress.state || !shippingAddress.zipCode) {
-            return res.status(400).json({
-                error: 'Invalid address',
-                message: 'Please provide complete shipping address'
-            });
-        }
+            // Build order items and calculate totals
+            // Items are charged at their promotional price when a promotion is running
+            const orderItems = [];
+            const lines = [];
+            let subtotal = 0;
+            let savings = 0;
+            let weight = 0;
 
-        const products = readData(PRODUCTS_FILE);
-        const orders = readData(ORDERS_FILE);
+            for (const cartItem of cart) {
+                const product = products.findById(cartItem.productId);
 
-        // Build order items and calculate totals
-        const orderItems = [];
-        let subtotal = 0;
+                if (!product) {
+                    throw new HttpError(400, 'Product not found', `Product ${cartItem.productId} no longer exists`);
+                }
 
-        for (const cartItem of req.session.cart) {
-            const product = products.find(p => p.id === cartItem.productId);
+                if (!isActive(product)) {
+                    throw new HttpError(400, 'Unavailable', `${product.name} is no longer available`);
+                }
 
-            if (!product) {
-                return res.status(400).json({
-                    error: 'Product not found',
-                    message: `Product ${cartItem.productId} no longer exists`
+                const variant = cartItem.variantId ? findVariant(product, cartItem.variantId) : null;
+
+                if (cartItem.variantId && !variant) {
+                    throw new HttpError(400, 'Product not found', `The selected option of ${product.name} is no longer available`);
+                }
+
+                const { price: basePrice, image } = resolveVariant(product, variant);
+                const { price, promotion } = pricing.priceFor(product, basePrice);
+
+                // The customer's own holds are there for this; other customers' aren't
+                if (availability.stockFor(product, variant) < cartItem.quantity) {
+                    throw new HttpError(400, 'Insufficient stock', `Not enough stock for ${product.name}`);
+                }
+
+                orderItems.push({
+                    productId: product.id,
+                    variantId: variant ? variant.id : null,
+                    sku: variant ? variant.sku : product.sku || '',
+                    name: product.name,
+                    variantLabel: variantLabel(variant),
+                    price,
+                    basePrice,
+                    promotion: promotion ? { id: promotion.id, name: promotion.name } : null,
+                    quantity: cartItem.quantity,
+                    image
                 });
-            }
 
-            if (product.stock < cartItem.quantity) {
-                return res.status(400).json({
-                    error: 'Insufficient stock',
-                    message: `Not enough stock for ${product.name}`
+                lines.push({ product, price, quantity: cartItem.quantity });
+                subtotal += price * cartItem.quantity;
+                weight += (product.weight || 0) * cartItem.quantity;
+                savings += (basePrice - price) * cartItem.quantity;
+
+                moveStock(products, movements, {
+                    productId: product.id,
+                    variantId: variant ? variant.id : null,
+                    quantity: -cartItem.quantity,
+                    type: 'sale',
+                    reason: `Order ${orderNumber}`,
+                    userId: req.session.user.id,
+                    orderId
                 });
             }
 
-            orderItems.push({
-                productId: product.id,
-                name: product.name,
-                price: product.price,
-                quantity: cartItem.quantity,
-                image: product.images[0] || ''
-            });
+            // The coupon is checked again and its redemption counted with the order
+            const couponCode = loadCouponCode(req, carts);
+            const coupons = tx.repository('coupons');
+            const coupon = couponCode ? findCoupon(coupons, couponCode) : null;
+            let discount = 0;
+            let freeShipping = false;
 
-            subtotal += product.price * cartItem.quantity;
-
-            // Update product stock
-            product.stock -= cartItem.quantity;
-        }
-
-        // Update products with new stock
-        writeData(PRODUCTS_FILE, products);
-
-        // Calculate totals
-        const shipping = subtotal > 100 ? 0 : 9.99;
-        const tax = subtotal * 0.08;
-        const total = subtotal + shipping + tax;
-
-        // Create order
-        const order = {
-            id: generateId(),
-            orderNumber: `ORD-${Date.now().toString(36).toUpperCase()}`,
-            userId: req.session.user.id,
-            customerName: req.session.user.name,
-            customerEmail: req.session.user.email,
-            items: orderItems,
-            shippingAddress,
-            paymentMethod,
-            subtotal: Math.round(subtotal * 100) / 100,
-            shipping: Math.round(shipping * 100) / 100,
-            tax: Math.round(tax * 100) / 100,
-            total: Math.round(total * 100) / 100,
-            status: 'pending',
-            statusHistory: [
-                {
-                    status: 'pending',
-                    timestamp: getTimestamp(),
-                    note: 'Order placed'
-                }
-            ],
-            createdAt: getTimestamp(),
-            updatedAt: getTimestamp()
-        };
+            if (couponCode && !coupon) {
+                throw new HttpError(400, 'Invalid coupon', `Coupon ${couponCode} no longer exists`);
+            }
+            if (coupon) {
+                ({ discount, freeShipping } = evaluateCoupon(coupon, {
+                    lines,
+                    tree: new CategoryTree(tx.repository('categories').findAll()),
+                    userId: req.session.user.id,
+                    orders
+                }));
+                redeemCoupon(coupons, coupon);
+            }
 
-        orders.push(order);
-        writeData(ORDERS_FILE, orders);
+            // The cart is emptied, and the stock it held turned into the sale, in the same commit as the order
+            saveCart(req, [], carts);
+            saveCouponCode(req, null, carts);
+            releaseHolds(tx.repository('reservations'), req.session.user.id);
+
+            // Shipping and tax for the real address and chosen method
+            const totals = quote({
+                subtotal,
+                discount,
+                weight,
+                freeShipping,
+                address: shippingAddress,
+                method: shippingMethod
+            }, loadPricingRules(tx));
+
+            // Create order
+            return orders.insert({
+                id: orderId,
+                orderNumber,
+                invoiceNumber: nextInvoiceNumber(tx),
+                userId: req.session.user.id,
+                customerName: req.session.user.name,
+                customerEmail: req.session.user.email,
+                items: orderItems,
+                shippingAddress,
+                paymentMethod,
+                subtotal: Math.round(subtotal * 100) / 100,
+                savings: Math.round(savings * 100) / 100,
+                coupon: coupon ? { id: coupon.id, code: coupon.code, type: coupon.type, value: coupon.value } : null,
+                discount,
+                shipping: totals.shipping,
+                shippingMethod: totals.shippingMethod,
+                tax: totals.tax,
+                taxRate: totals.taxRate,
+                taxableAmount: totals.taxableAmount,
+                total: totals.total,
+                currency: currentConverter(req, tx).snapshot(),
+                status: 'pending',
+                returns: [],
+                refunds: [],
+                refundedTotal: 0,
+                statusHistory: [
+                    {
+                        status: 'pending',
+                        timestamp: getTimestamp(),
+                        note: 'Order placed'
+                    }
+                ],
+                createdAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            });
+        });
 
-        // Clear cart
-        req.session.cart = [];
+        getCoPurchaseIndex().addOrder(order);
 
         res.status(201).json({
             message: 'Order placed successfully',
@@ -115,11 +292,15 @@ router.post('/', requireAuth, (req, res) => {
                 id: order.id,
                 orderNumber: order.orderNumber,
                 total: order.total,
-                status: order.status
+                status: order.status,
+                display: displayOrder(order).display
             }
         });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
         console.error('Create order error:', error);
         res.status(500).json({
             error: 'Server error',
@@ -132,14 +313,14 @@ router.post('/', requireAuth, (req, res) => {
  * GET /api/orders
  * Get user's orders (or all orders for admin)
  */
-router.get('/', requireAuth, (req, res) => {
+router.get('/', requireAuth, validate({
+    query: { status: { type: 'string', enum: ORDER_STATUSES } }
+}), (req, res) => {
     try {
-        let orders = readData(ORDERS_FILE);
-
         // If not admin, filter to user's orders only
-        if (req.session.user.role !== 'admin') {
-            orders = orders.filter(o => o.userId === req.session.user.id);
-        }
+        let orders = req.session.user.role === 'admin'
+            ? orderRepo.findAll()
+            : orderRepo.query({ userId: req.session.user.id });
 
         // Sort by newest first
         orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -150,7 +331,7 @@ router.get('/', requireAuth, (req, res) => {
             orders = orders.filter(o => o.status === status);
         }
 
-        res.json({ orders });
+        res.json({ orders: orders.map(orderView) });
 
     } catch (error) {
         console.error('Get orders error:', error);
@@ -161,14 +342,87 @@ router.get('/', requireAuth, (req, res) => {
     }
 });
 
+/**
+ * GET /api/orders/returns
+ * Returns across all orders, newest first, with their order (admin only)
+ */
+router.get('/returns', requireAdmin, validate({
+    query: { status: { type: 'string', enum: RETURN_STATUSES } }
+}), (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const returns = orderRepo.findAll()
+            .flatMap(order => (order.returns || []).map(rma => ({
+                ...rma,
+                display: new Converter(order.currency).amounts(rma, ['value']),
+                order: {
+                    id: order.id,
+                    orderNumber: order.orderNumber,
+                    customerName: order.customerName,
+                    customerEmail: order.customerEmail,
+                    total: order.total,
+                    refundable: refundableAmount(order)
+                }
+            })))
+            .filter(rma => !status || rma.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({ returns });
+
+    } catch (error) {
+        console.error('Get returns error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get returns'
+        });
+    }
+});
+
+/**
+ * GET /api/orders/packing-slips?status=processing&format=html|pdf
+ * Packing slips for every order in a status, oldest first, to print in one go (admin only)
+ */
+router.get('/packing-slips', requireAdmin, validate({
+    query: {
+        status: { type: 'string', enum: ORDER_STATUSES, default: 'processing' },
+        format: { type: 'string', enum: DOCUMENT_FORMATS, default: 'html' }
+    }
+}), (req, res) => {
+    try {
+        const { status, format } = req.query;
+        const orders = orderRepo.query({ status })
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        if (orders.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `There are no ${status} orders`
+            });
+        }
+
+        sendDocuments(res, orders.map(packingSlipDocument), {
+            format,
+            title: `Packing slips: ${status} orders`,
+            filename: `packing-slips-${status}`
+        });
+
+    } catch (error) {
+        console.error('Get packing slips error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create packing slips'
+        });
+    }
+});
+
 /**
  * GET /api/orders/:id
  * Get single order details
  */
-router.get('/:id', requireAuth, (req, res) => {
+router.get('/:id', requireAuth, validate({ params: { id: ID } }), (req, res) => {
     try {
-        const orders = readData(ORDERS_FILE);
-        const order = orders.find(o => o.id === req.params.id);
+        const order = orderRepo.findById(req.params.id);
 
         if (!order) {
             return res.status(404).json({
@@ -185,7 +439,7 @@ router.get('/:id', requireAuth, (req, res) => {
             });
         }
 
-        res.json({ order });
+        res.json({ order: orderView(order) });
 
     } catch (error) {
         console.error('Get order error:', error);
@@ -197,47 +451,128 @@ router.get('/:id', requireAuth, (req, res) => {
 });
 
 /**
- * PUT /api/orders/:id/status
- * Update order status (admin only)
+ * GET /api/orders/:id/invoice?format=html|pdf
+ * The order's invoice, to print or download
  */
-router.put('/:id/status', requireAdmin, (req, res) => {
+router.get('/:id/invoice', requireAuth, validate({
+    params: { id: ID },
+    query: { format: { type: 'string', enum: DOCUMENT_FORMATS, default: 'html' } }
+}), (req, res) => {
     try {
-        const { status, note } = req.body;
+        const order = orderRepo.findById(req.params.id);
 
-        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
-                error: 'Invalid status',
-                message: `Status must be one of: ${validStatuses.join(', ')}`
+        if (!order) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Order not found'
+            });
+        }
+
+        // Check access (owner or admin)
+        if (order.userId !== req.session.user.id && req.session.user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You cannot view this order'
             });
         }
 
-        const orders = readData(ORDERS_FILE);
-        const orderIndex = orders.findIndex(o => o.id === req.params.id);
+        sendDocuments(res, [invoiceDocument(order)], {
+            format: req.query.format,
+            title: `Invoice ${order.invoiceNumber}`,
+            filename: order.invoiceNumber
+        });
+
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create invoice'
+        });
+    }
+});
+
+/**
+ * GET /api/orders/:id/packing-slip?format=html|pdf
+ * The order's packing slip (admin only)
+ */
+router.get('/:id/packing-slip', requireAdmin, validate({
+    params: { id: ID },
+    query: { format: { type: 'string', enum: DOCUMENT_FORMATS, default: 'html' } }
+}), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
 
-        if (orderIndex === -1) {
+        if (!order) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Order not found'
             });
         }
 
-        orders[orderIndex].status = status;
-        orders[orderIndex].statusHistory.push({
-            status,
-            timestamp: getTimestamp(),
-            note: note || `Status updated to ${status}`
+        sendDocuments(res, [packingSlipDocument(order)], {
+            format: req.query.format,
+            title: `Packing slip ${order.orderNumber}`,
+            filename: `packing-slip-${order.orderNumber}`
         });
-        orders[orderIndex].updatedAt = getTimestamp();
 
-        writeData(ORDERS_FILE, orders);
+    } catch (error) {
+        console.error('Get packing slip error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create packing slip'
+        });
+    }
+});
+
+/**
+ * PUT /api/orders/:id/status
+ * Move an order to its next status (admin only)
+ * Only the moves in the order lifecycle are allowed (see nextStatuses on each
+ * order). Shipping needs tracking details; cancelling puts the items back in
+ * stock and refunds what has not been refunded yet.
+ */
+router.put('/:id/status', requireAdmin, validate({
+    params: { id: ID },
+    body: {
+        status: { type: 'string', required: true, enum: ORDER_STATUSES },
+        note: { type: 'string', maxLength: 500 },
+        tracking: {
+            type: 'object',
+            properties: {
+                carrier: { type: 'string', required: true, maxLength: 100 },
+                number: { type: 'string', required: true, maxLength: 100 },
+                url: { type: 'string', maxLength: 500, nullable: true, pattern: /^https?:\/\// }
+            }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const order = await transaction(tx => {
+            const orders = tx.repository('orders');
+            const order = orders.findById(req.params.id);
+
+            if (!order) {
+                throw new HttpError(404, 'Not found', 'Order not found');
+            }
+
+            const updated = transitionOrder(order, req.body, { tx, userId: req.session.user.id });
+            return orders.replace(order.id, updated);
+        });
+
+        // A cancelled order no longer says anything about what goes together
+        if (order.status === 'cancelled') {
+            getCoPurchaseIndex().removeOrder(order);
+        }
 
         res.json({
             message: 'Order status updated',
-            order: orders[orderIndex]
+            order: orderView(order)
         });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
         console.error('Update order status error:', error);
         res.status(500).json({
             error: 'Server error',
@@ -246,4 +581,173 @@ router.put('/:id/status', requireAdmin, (req, res) => {
     }
 });
 
+/**
+ * POST /api/orders/:id/cancel
+ * Cancel your own order while it is still pending or confirmed
+ * The items go back in stock and the order is refunded.
+ */
+router.post('/:id/cancel', requireAuth, validate({
+    params: { id: ID },
+    body: { reason: { type: 'string', maxLength: 500 } }
+}), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const order = await transaction(tx => {
+            const orders = tx.repository('orders');
+            const order = findOwnOrder(orders, req.params.id, req.session.user);
+
+            if (!customerCancellable(order)) {
+                throw new HttpError(409, 'Cannot cancel', `A ${order.status} order can't be cancelled any more`);
+            }
+
+            const updated = transitionOrder(order, {
+                status: 'cancelled',
+                note: reason ? `Cancelled by the customer: ${reason}` : 'Cancelled by the customer'
+            }, { tx, userId: req.session.user.id });
+            return orders.replace(order.id, updated);
+        });
+
+        getCoPurchaseIndex().removeOrder(order);
+
+        res.json({
+            message: 'Order cancelled',
+            order: orderView(order)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to cancel order'
+        });
+    }
+});
+
+/**
+ * POST /api/orders/:id/returns
+ * Ask to return items of a delivered order, with the quantity and reason for each
+ */
+router.post('/:id/returns', requireAuth, validate({
+    params: { id: ID },
+    body: returnSchema
+}), async (req, res) => {
+    try {
+        const order = await transaction(tx => {
+            const orders = tx.repository('orders');
+            const order = findOwnOrder(orders, req.params.id, req.session.user);
+
+            const updated = requestReturn(order, req.body, { userId: req.session.user.id });
+            return orders.replace(order.id, updated);
+        });
+
+        res.status(201).json({
+            message: 'Return requested',
+            return: order.returns[order.returns.length - 1],
+            order: orderView(order)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Request return error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to request return'
+        });
+    }
+});
+
+/**
+ * PUT /api/orders/:id/returns/:returnId
+ * Approve or reject a return, or mark its items received (admin only)
+ * Received items go back in stock.
+ */
+router.put('/:id/returns/:returnId', requireAdmin, validate({
+    params: { id: ID, returnId: ID },
+    body: {
+        status: { type: 'string', required: true, enum: ['approved', 'rejected', 'received'] },
+        note: { type: 'string', maxLength: 500 }
+    }
+}), async (req, res) => {
+    try {
+        const order = await transaction(tx => {
+            const orders = tx.repository('orders');
+            const order = orders.findById(req.params.id);
+
+            if (!order) {
+                throw new HttpError(404, 'Not found', 'Order not found');
+            }
+
+            const updated = updateReturn(order, req.params.returnId, req.body, { tx, userId: req.session.user.id });
+            return orders.replace(order.id, updated);
+        });
+
+        res.json({
+            message: 'Return updated',
+            return: order.returns.find(r => r.id === req.params.returnId),
+            order: orderView(order)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update return error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update return'
+        });
+    }
+});
+
+/**
+ * POST /api/orders/:id/refunds
+ * Refund part or all of an order, or a received return (admin only)
+ * Without an amount it refunds the return's value, or everything not refunded yet;
+ * a return can't be refunded more than its value.
+ */
+router.post('/:id/refunds', requireAdmin, validate({
+    params: { id: ID },
+    body: {
+        amount: { type: 'number', min: 0.01, nullable: true },
+        reason: { type: 'string', maxLength: 500 },
+        returnId: { ...ID, required: false, nullable: true }
+    }
+}), async (req, res) => {
+    try {
+        const order = await transaction(tx => {
+            const orders = tx.repository('orders');
+            const order = orders.findById(req.params.id);
+
+            if (!order) {
+                throw new HttpError(404, 'Not found', 'Order not found');
+            }
+
+            const updated = refundOrder(order, req.body, { userId: req.session.user.id });
+            return orders.replace(order.id, updated);
+        });
+
+        res.status(201).json({
+            message: 'Refund issued',
+            refund: order.refunds[order.refunds.length - 1],
+            order: orderView(order)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Refund order error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to refund order'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { SHIPPING_METHODS } = require('../utils/pricing');
+const { ID, partial } = require('../utils/schema');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const taxRateRepo = repository('taxRates');
+const zoneRepo = repository('shippingZones');
+
+const code = { type: 'string', maxLength: 20 };
+
+const regionSchema = {
+    countries: {
+        type: 'array',
+        required: true,
+        items: code,
+        maxLength: 300,
+        check: value => value.length > 0 || 'must list at least one country (or * for anywhere)'
+    },
+    states: { type: 'array', items: code, maxLength: 100, default: [] },
+    postcodes: { type: 'array', items: code, maxLength: 500, default: [] }
+};
+
+const taxRateSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    rate: { type: 'number', required: true, min: 0, max: 100 },
+    shippingTaxable: { type: 'boolean', default: false },
+    ...regionSchema
+};
+
+const money = { type: 'number', required: true, min: 0 };
+const days = { type: 'integer', min: 0, nullable: true, default: null };
+
+const shippingZoneSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    methods: {
+        type: 'array',
+        required: true,
+        maxLength: SHIPPING_METHODS.length,
+        items: {
+            type: 'object',
+            properties: {
+                method: { type: 'string', required: true, enum: SHIPPING_METHODS },
+                label: { type: 'string', required: true, maxLength: 50 },
+                price: money,
+                perKg: { type: 'number', min: 0, default: 0 },
+                tiers: {
+                    type: 'array',
+                    maxLength: 20,
+                    default: [],
+                    items: { type: 'object', properties: { minSubtotal: money, price: money } }
+                },
+                freeOver: { type: 'number', min: 0, nullable: true, default: null },
+                minDays: days,
+                maxDays: days
+            }
+        },
+        check: value => new Set(value.filter(Boolean).map(m => m.method)).size === value.length ||
+            'must not list a shipping method twice'
+    },
+    ...regionSchema
+};
+
+/**
+ * GET /api/pricing/tax-rates
+ * All tax rates (admin only)
+ */
+router.get('/tax-rates', requireAdmin, (req, res) => {
+    try {
+        res.json({ taxRates: taxRateRepo.findAll() });
+    } catch (error) {
+        console.error('Get tax rates error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get tax rates'
+        });
+    }
+});
+
+/**
+ * POST /api/pricing/tax-rates
+ * Add a tax rate for a region (admin only)
+ */
+router.post('/tax-rates', requireAdmin, validate({ body: taxRateSchema }), async (req, res) => {
+    try {
+        const taxRate = await transaction(tx => tx.repository('taxRates').insert({
+            id: generateId(),
+            ...req.body,
+            createdAt: getTimestamp(),
+            updatedAt: getTimestamp()
+        }));
+
+        res.status(201).json({
+            message: 'Tax rate created successfully',
+            taxRate
+        });
+
+    } catch (error) {
+        console.error('Create tax rate error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create tax rate'
+        });
+    }
+});
+
+/**
+ * PUT /api/pricing/tax-rates/:id
+ * Update a tax rate (admin only)
+ * Orders already placed keep the tax they were charged.
+ */
+router.put('/tax-rates/:id', requireAdmin, validate({ params: { id: ID }, body: partial(taxRateSchema) }), async (req, res) => {
+    try {
+        const taxRate = await transaction(tx => {
+            const taxRates = tx.repository('taxRates');
+
+            if (!taxRates.findById(req.params.id)) {
+                throw new HttpError(404, 'Not found', 'Tax rate not found');
+            }
+            return taxRates.update(req.params.id, { ...req.body, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Tax rate updated successfully',
+            taxRate
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update tax rate error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update tax rate'
+        });
+    }
+});
+
+/**
+ * DELETE /api/pricing/tax-rates/:id
+ * Delete a tax rate (admin only)
+ */
+router.delete('/tax-rates/:id', requireAdmin, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const taxRates = tx.repository('taxRates');
+
+            if (!taxRates.findById(req.params.id)) {
+                throw new HttpError(404, 'Not found', 'Tax rate not found');
+            }
+            taxRates.delete(req.params.id);
+        });
+
+        res.json({ message: 'Tax rate deleted successfully' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete tax rate error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete tax rate'
+        });
+    }
+});
+
+/**
+ * GET /api/pricing/shipping-zones
+ * All shipping zones with their methods (admin only)
+ */
+router.get('/shipping-zones', requireAdmin, (req, res) => {
+    try {
+        res.json({ shippingZones: zoneRepo.findAll() });
+    } catch (error) {
+        console.error('Get shipping zones error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get shipping zones'
+        });
+    }
+});
+
+/**
+ * POST /api/pricing/shipping-zones
+ * Add a shipping zone (admin only)
+ */
+router.post('/shipping-zones', requireAdmin, validate({ body: shippingZoneSchema }), async (req, res) => {
+    try {
+        const shippingZone = await transaction(tx => tx.repository('shippingZones').insert({
+            id: generateId(),
+            ...req.body,
+            createdAt: getTimestamp(),
+            updatedAt: getTimestamp()
+        }));
+
+        res.status(201).json({
+            message: 'Shipping zone created successfully',
+            shippingZone
+        });
+
+    } catch (error) {
+        console.error('Create shipping zone error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create shipping zone'
+        });
+    }
+});
+
+/**
+ * PUT /api/pricing/shipping-zones/:id
+ * Update a shipping zone; methods, when given, replace the zone's methods (admin only)
+ */
+router.put('/shipping-zones/:id', requireAdmin, validate({
+    params: { id: ID },
+    body: partial(shippingZoneSchema)
+}), async (req, res) => {
+    try {
+        const shippingZone = await transaction(tx => {
+            const zones = tx.repository('shippingZones');
+
+            if (!zones.findById(req.params.id)) {
+                throw new HttpError(404, 'Not found', 'Shipping zone not found');
+            }
+            return zones.update(req.params.id, { ...req.body, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Shipping zone updated successfully',
+            shippingZone
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update shipping zone error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update shipping zone'
+        });
+    }
+});
+
+/**
+ * DELETE /api/pricing/shipping-zones/:id
+ * Delete a shipping zone (admin only)
+ * Addresses it covered get the next most specific zone, if any.
+ */
+router.delete('/shipping-zones/:id', requireAdmin, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const zones = tx.repository('shippingZones');
+
+            if (!zones.findById(req.params.id)) {
+                throw new HttpError(404, 'Not found', 'Shipping zone not found');
+            }
+            zones.delete(req.params.id);
+        });
+
+        res.json({ message: 'Shipping zone deleted successfully' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete shipping zone error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete shipping zone'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,78 +1,192 @@
 const express = require('express');
-const { readData, writeData, generateId, getTimestamp } = require('../utils/helpers');
-const { requireAdmin } = require('../middleware/auth');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { normalizeOptions, buildVariants, syncStock } = require('../utils/variants');
+const { getProductIndex, tokenize } = require('../utils/search');
+const { PRICE_BUCKETS, buildFacetFilters, computeFacets } = require('../utils/facets');
+const { REVIEW_SCHEMA, hasPurchased, summarizeReviews, refreshProductRating } = require('../utils/reviews');
+const { normalizeImage, foreignUploads, saveImage, removeImage } = require('../utils/images');
+const { DEFAULT_REORDER_THRESHOLD, recordStockChanges } = require('../utils/inventory');
+const { PRODUCT_STATUSES, isActive, recordRevision, productUploadIds, productAtRevision } = require('../utils/products');
+const { CategoryTree, productCategoryFields, resolveProductCategory } = require('../utils/categories');
+const { recommend } = require('../utils/recommendations');
+const { currentPricing } = require('../utils/promotions');
+const { currentAvailability } = require('../utils/reservations');
+const { currentConverter, displayProduct } = require('../utils/currency');
+const { ID, PAGINATION, partial } = require('../utils/schema');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
-const PRODUCTS_FILE = 'products.json';
+const productRepo = repository('products');
+const categoryRepo = repository('categories');
+
+const SORT_OPTIONS = ['relevance', 'price-asc', 'price-desc', 'name-asc', 'name-desc', 'rating', 'newest'];
+
+const listQuerySchema = {
+    search: { type: 'string', maxLength: 200 },
+    minPrice: { type: 'number', min: 0 },
+    maxPrice: { type: 'number', min: 0 },
+    sort: { type: 'string', enum: SORT_OPTIONS },
+    featured: { type: 'boolean' },
+    facets: { type: 'boolean' },
+    status: { type: 'string', enum: [...PRODUCT_STATUSES, 'all'] },
+    category: { type: 'list' },
+    subcategory: { type: 'list' },
+    brand: { type: 'list' },
+    priceRange: { type: 'list', items: { type: 'string', enum: PRICE_BUCKETS.map(b => b.value) } },
+    minRating: { type: 'number', min: 0, max: 5 },
+    inStock: { type: 'boolean' },
+    ...PAGINATION
+};
+
+const stockLevel = { type: 'integer', min: 0 };
+
+const productSchema = {
+    sku: { type: 'string', maxLength: 64 },
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    price: { type: 'number', required: true, min: 0 },
+    originalPrice: { type: 'number', min: 0 },
+    categoryId: { ...ID, required: false },
+    category: { type: 'string', maxLength: 100 },
+    subcategory: { type: 'string', maxLength: 100 },
+    brand: { type: 'string', maxLength: 100 },
+    weight: { type: 'number', min: 0 },
+    images: { type: 'array', maxLength: 20 },
+    stock: stockLevel,
+    reorderThreshold: stockLevel,
+    status: { type: 'string', enum: PRODUCT_STATUSES },
+    featured: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string', maxLength: 50 } },
+    specifications: { type: 'object', values: { type: 'string', maxLength: 500 } },
+    options: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', required: true, maxLength: 50 },
+                values: { type: 'array', required: true, items: { type: 'string', maxLength: 50 } }
+            }
+        }
+    },
+    variants: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                options: { type: 'object', required: true, values: { type: 'string' } },
+                sku: { type: 'string', maxLength: 64 },
+                price: { type: 'number', min: 0, nullable: true },
+                stock: stockLevel,
+                image: { type: 'string', nullable: true }
+            }
+        }
+    }
+};
+
+const productParams = { id: ID };
+
+/**
+ * Clean up an images list sent by the admin form or API
+ */
+function normalizeImages(images) {
+    return (Array.isArray(images) ? images : []).map(normalizeImage).filter(Boolean);
+}
+
+/**
+ * Turn away images naming uploads that aren't the product's own
+ */
+function checkOwnUploads(images, ownIds) {
+    const [foreign] = foreignUploads(images, ownIds);
+    if (foreign) {
+        throw new HttpError(400, 'Invalid image', `Image ${foreign.id} was not uploaded for this product`);
+    }
+}
 
 /**
  * GET /api/products
  * Get all products with optional filtering
+ * Pass facets=true to also get facet counts for the filter sidebar
+ * Only active products are listed; admins can pass status=draft|archived|all
+ * Prices include running promotions, and price filters and sorting use them.
+ * Each product's display holds its prices in the visitor's currency, which
+ * minPrice and maxPrice are given in.
+ * Stock leaves out what other customers hold at checkout (see reservedStock).
  */
-router.get('/', (req, res) => {
+router.get('/', validate({ query: listQuerySchema }), (req, res) => {
     try {
-        let products = readData(PRODUCTS_FILE);
+        const isAdmin = req.session.user && req.session.user.role === 'admin';
+        const status = isAdmin && req.query.status ? req.query.status : 'active';
+
+        const tree = new CategoryTree(categoryRepo.findAll());
+        const pricing = currentPricing();
+        const availability = currentAvailability(req.session.user ? req.session.user.id : null);
+        const converter = currentConverter(req);
+
+        let products = productRepo.findAll();
+        if (status !== 'all') {
+            products = products.filter(p => p.status === status);
+        }
+        products = products.map(p => displayProduct(availability.applyTo(pricing.priceProduct(p)), converter));
 
         const {
             search,
-            category,
-            subcategory,
-            brand,
             minPrice,
             maxPrice,
             sort,
             featured,
+            facets,
             limit,
-            page = 1
+            page
         } = req.query;
 
-        // Filter by search term
-        if (search) {
+        // Filter by search term, ranked by relevance. A query of stop words
+        // only (e.g. "the") has no terms to rank by and is matched as typed.
+        let relevance = null;
+        if (search && tokenize(search).length > 0) {
+            relevance = getProductIndex().search(search);
+            products = products.filter(p => relevance.has(p.id));
+        } else if (search) {
             const searchLower = search.toLowerCase();
             products = products.filter(p =>
                 p.name.toLowerCase().includes(searchLower) ||
                 p.description.toLowerCase().includes(searchLower) ||
-                p.tags.some(t => t.toLowerCase().includes(searchLower))
+                (p.tags || []).some(t => t.toLowerCase().includes(searchLower))
             );
         }
 
-        // Filter by category
-        if (category) {
-            products = products.filter(p =>
-                p.category.toLowerCase() === category.toLowerCase()
-            );
-        }
-
-        // Filter by subcategory
-        if (subcategory) {
-            products = products.filter(p =>
-                p.subcategory.toLowerCase() === subcategory.toLowerCase()
-            );
-        }
-
-        // Filter by brand
-        if (brand) {
-            products = products.filter(p =>
-                p.brand.toLowerCase() === brand.toLowerCase()
-            );
-        }
-
-        // Filter by price range
+        // Filter by price range, given in the visitor's currency and compared
+        // in the base currency like the priceRange facet
         if (minPrice) {
-            products = products.filter(p => p.price >= parseFloat(minPrice));
+            products = products.filter(p => p.price >= converter.toBase(parseFloat(minPrice)));
         }
         if (maxPrice) {
-            products = products.filter(p => p.price <= parseFloat(maxPrice));
+            products = products.filter(p => p.price <= converter.toBase(parseFloat(maxPrice)));
         }
 
         // Filter featured only
-        if (featured === 'true') {
+        if (featured) {
             products = products.filter(p => p.featured);
         }
 
-        // Sort products
-        if (sort) {
-            switch (sort) {
+        // Facet filters (category, subcategory, brand, priceRange, minRating, inStock)
+        // accept several values, e.g. ?brand=SoundMax,FitTech
+        const facetFilters = buildFacetFilters(req.query, tree);
+        const facetCounts = facets ? computeFacets(products, facetFilters, tree, req.query, amount => converter.format(amount)) : undefined;
+        products = products.filter(p => facetFilters.every(f => f.test(p)));
+
+        // Sort products (search results default to relevance)
+        const sortBy = sort || (relevance ? 'relevance' : '');
+        if (sortBy) {
+            switch (sortBy) {
+                case 'relevance':
+                    if (relevance) {
+                        products.sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+                    }
+                    break;
                 case 'price-asc':
                     products.sort((a, b) => a.price - b.price);
                     break;
@@ -86,7 +200,7 @@ router.get('/', (req, res) => {
                     products.sort((a, b) => b.name.localeCompare(a.name));
                     break;
                 case 'rating':
-                    products.sort((a, b) => b.rating - a.rating);
+                    products.sort((a, b) => b.rating - a.rating || b.reviews - a.reviews);
                     break;
                 case 'newest':
                     products.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -112,7 +226,8 @@ router.get('/', (req, res) => {
                 page: pageNum,
                 pageSize: pageSize,
                 totalPages: Math.ceil(totalProducts / pageSize)
-            }
+            },
+            facets: facetCounts
         });
 
     } catch (error) {
@@ -130,7 +245,7 @@ router.get('/', (req, res) => {
  */
 router.get('/categories', (req, res) => {
     try {
-        const products = readData(PRODUCTS_FILE);
+        const products = productRepo.query({ status: 'active' });
 
         const categories = [...new Set(products.map(p => p.category))];
         const subcategories = [...new Set(products.map(p => p.subcategory))];
@@ -145,25 +260,35 @@ router.get('/categories', (req, res) => {
 /**
  * GET /api/products/:id
  * Get single product by ID
+ * Archived products can still be viewed (past orders link to them), drafts only by admins
  */
-router.get('/:id', (req, res) => {
+router.get('/:id', validate({ params: productParams }), (req, res) => {
     try {
-        const products = readData(PRODUCTS_FILE);
-        const product = products.find(p => p.id === req.params.id);
+        const product = productRepo.findById(req.params.id);
+        const isAdmin = req.session.user && req.session.user.role === 'admin';
 
-        if (!product) {
+        if (!product || (product.status === 'draft' && !isAdmin)) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Product not found'
             });
         }
 
-        // Get related products (same category, different product)
-        const relatedProducts = products
-            .filter(p => p.category === product.category && p.id !== product.id)
-            .slice(0, 4);
+        const tree = new CategoryTree(categoryRepo.findAll());
+        const pricing = currentPricing();
+        const availability = currentAvailability(req.session.user ? req.session.user.id : null);
+        const converter = currentConverter(req);
+        const view = p => displayProduct(availability.applyTo(pricing.priceProduct(p)), converter);
 
-        res.json({ product, relatedProducts });
+        // Products bought together with this one, or similar ones
+        const relatedProducts = recommend([product.id])
+            .map(({ product, reason }) => ({ ...view(product), reason }));
+
+        const categoryPath = tree
+            .path(product.categoryId)
+            .map(({ id, name, slug }) => ({ id, name, slug }));
+
+        res.json({ product: view(product), categoryPath, relatedProducts });
 
     } catch (error) {
         console.error('Get product error:', error);
@@ -178,54 +303,85 @@ router.get('/:id', (req, res) => {
  * POST /api/products
  * Create new product (admin only)
  */
-router.post('/', requireAdmin, (req, res) => {
+router.post('/', requireAdmin, validate({
+    body: { ...productSchema, status: { ...productSchema.status, default: 'active' } }
+}), async (req, res) => {
     try {
         const {
+            sku,
             name,
             description,
             price,
             originalPrice,
+            categoryId,
             category,
             subcategory,
             brand,
             images,
             stock,
+            reorderThreshold,
             tags,
             specifications,
-            featured
+            featured,
+            status,
+            options,
+            variants
         } = req.body;
 
-        // Validation
-        if (!name || !description || !price || !category) {
+        if (!categoryId && !category) {
             return res.status(400).json({
                 error: 'Missing fields',
-                message: 'Name, description, price, and category are required'
+                message: 'A category is required'
             });
         }
 
-        const products = readData(PRODUCTS_FILE);
-
+        const id = generateId();
         const newProduct = {
-            id: generateId(),
-            name: name.trim(),
-            description: description.trim(),
-            price: parseFloat(price),
-            originalPrice: originalPrice ? parseFloat(originalPrice) : parseFloat(price),
-            category: category.trim(),
-            subcategory: subcategory ? subcategory.trim() : '',
-            brand: brand ? brand.trim() : '',
-            images: images || [],
-            stock: stock ? parseInt(stock) : 0,
+            id,
+            sku: sku || id.toUpperCase(),
+            name,
+            description,
+            price,
+            originalPrice: originalPrice !== undefined ? originalPrice : price,
+            ...resolveProductCategory(new CategoryTree(categoryRepo.findAll()), { categoryId, category, subcategory }),
+            brand: brand || '',
+            images: normalizeImages(images),
+            stock: stock || 0,
+            reorderThreshold: reorderThreshold !== undefined ? reorderThreshold : DEFAULT_REORDER_THRESHOLD,
+            status,
             rating: 0,
             reviews: 0,
             featured: featured || false,
             tags: tags || [],
             specifications: specifications || {},
-            createdAt: getTimestamp()
+            options: normalizeOptions(options),
+            variants: [],
+            createdAt: getTimestamp(),
+            updatedAt: getTimestamp()
         };
 
-        products.push(newProduct);
-        writeData(PRODUCTS_FILE, products);
+        checkOwnUploads(newProduct.images, new Set());
+        newProduct.variants = buildVariants(newProduct, newProduct.options, variants);
+        syncStock(newProduct);
+
+        await transaction(tx => {
+            const products = tx.repository('products');
+
+            if (products.findOne({ sku: newProduct.sku })) {
+                throw new HttpError(409, 'SKU exists', `A product with SKU ${newProduct.sku} already exists`);
+            }
+            products.insert(newProduct);
+            recordStockChanges(tx.repository('stockMovements'), null, newProduct, {
+                type: 'receipt',
+                reason: 'Initial stock',
+                userId: req.session.user.id
+            });
+            recordRevision(tx.repository('productRevisions'), null, newProduct, {
+                action: 'create',
+                user: req.session.user
+            });
+        });
+        getProductIndex().upsert(newProduct);
 
         res.status(201).json({
             message: 'Product created successfully',
@@ -233,6 +389,9 @@ router.post('/', requireAdmin, (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
         console.error('Create product error:', error);
         res.status(500).json({
             error: 'Server error',
@@ -244,29 +403,87 @@ router.post('/', requireAdmin, (req, res) => {
 /**
  * PUT /api/products/:id
  * Update product (admin only)
+ * Stock edits are recorded in the inventory ledger as adjustments, with
+ * stockReason from the body as their reason. Other changes are recorded as
+ * a product revision.
  */
-router.put('/:id', requireAdmin, (req, res) => {
+router.put('/:id', requireAdmin, validate({
+    params: productParams,
+    body: { ...partial(productSchema), stockReason: { type: 'string', maxLength: 200 } }
+}), async (req, res) => {
     try {
-        const products = readData(PRODUCTS_FILE);
-        const index = products.findIndex(p => p.id === req.params.id);
+        const { stockReason, ...changes } = req.body;
 
-        if (index === -1) {
-            return res.status(404).json({
-                error: 'Not found',
-                message: 'Product not found'
-            });
-        }
+        const updatedProduct = await transaction(tx => {
+            const products = tx.repository('products');
+            const product = products.findById(req.params.id);
 
-        const updatedProduct = {
-            ...products[index],
-            ...req.body,
-            id: products[index].id, // Prevent ID change
-            createdAt: products[index].createdAt, // Preserve creation date
-            updatedAt: getTimestamp()
-        };
+            if (!product) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            if (req.body.sku !== undefined && products.findOne(p => p.sku === req.body.sku && p.id !== product.id)) {
+                throw new HttpError(409, 'SKU exists', `A product with SKU ${req.body.sku} already exists`);
+            }
 
-        products[index] = updatedProduct;
-        writeData(PRODUCTS_FILE, products);
+            const updatedProduct = {
+                ...product,
+                ...changes,
+                id: product.id, // Prevent ID change
+                createdAt: product.createdAt, // Preserve creation date
+                updatedAt: getTimestamp()
+            };
+
+            // The category strings always follow the category the product is in
+            if (changes.categoryId !== undefined || changes.category !== undefined || changes.subcategory !== undefined) {
+                Object.assign(updatedProduct, resolveProductCategory(
+                    new CategoryTree(tx.repository('categories').findAll()),
+                    changes.categoryId !== undefined
+                        ? { categoryId: changes.categoryId }
+                        : { category: changes.category || product.category, subcategory: changes.subcategory }
+                ));
+            }
+
+            if (req.body.images !== undefined) {
+                updatedProduct.images = normalizeImages(req.body.images);
+                checkOwnUploads(updatedProduct.images, productUploadIds(
+                    product,
+                    tx.repository('productRevisions').query({ productId: product.id })
+                ));
+            }
+
+            // Regenerate variants when options or variants are edited
+            if (req.body.options !== undefined || req.body.variants !== undefined) {
+                updatedProduct.options = req.body.options !== undefined
+                    ? normalizeOptions(req.body.options)
+                    : product.options || [];
+                updatedProduct.variants = buildVariants(
+                    updatedProduct,
+                    updatedProduct.options,
+                    req.body.variants,
+                    product.variants
+                );
+            }
+            syncStock(updatedProduct);
+
+            if (updatedProduct.status === 'archived' && product.status !== 'archived') {
+                updatedProduct.archivedAt = getTimestamp();
+            } else if (updatedProduct.status !== 'archived') {
+                delete updatedProduct.archivedAt;
+            }
+
+            recordStockChanges(tx.repository('stockMovements'), product, updatedProduct, {
+                type: 'adjustment',
+                reason: stockReason || 'Product edited',
+                userId: req.session.user.id
+            });
+            recordRevision(tx.repository('productRevisions'), product, updatedProduct, {
+                action: 'update',
+                user: req.session.user
+            });
+            return products.replace(product.id, updatedProduct);
+        });
+        getProductIndex().upsert(updatedProduct);
 
         res.json({
             message: 'Product updated successfully',
@@ -274,6 +491,9 @@ router.put('/:id', requireAdmin, (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
         console.error('Update product error:', error);
         res.status(500).json({
             error: 'Server error',
@@ -284,30 +504,450 @@ router.put('/:id', requireAdmin, (req, res) => {
 
 /**
  * DELETE /api/products/:id
- * Delete product (admin only)
+ * Archive a product (admin only)
+ * With permanent=true the product is removed for good, which is only allowed
+ * while no order refers to it, along with the files of every image it has
+ * had uploaded.
+ */
+router.delete('/:id', requireAdmin, validate({
+    params: productParams,
+    query: { permanent: { type: 'boolean', default: false } }
+}), async (req, res) => {
+    try {
+        const { permanent } = req.query;
+
+        let uploadIds = new Set();
+        const product = await transaction(tx => {
+            const products = tx.repository('products');
+            const product = products.findById(req.params.id);
+
+            if (!product) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            if (permanent) {
+                const ordered = tx.repository('orders')
+                    .findOne(order => order.items.some(item => item.productId === product.id));
+                if (ordered) {
+                    throw new HttpError(409, 'Product in use', 'Products that have been ordered can only be archived');
+                }
+
+                products.delete(product.id);
+                uploadIds = productUploadIds(product, tx.repository('productRevisions').query({ productId: product.id }));
+                return product;
+            }
+
+            if (product.status === 'archived') {
+                throw new HttpError(400, 'Already archived', 'Product is already archived');
+            }
+
+            const archivedProduct = {
+                ...product,
+                status: 'archived',
+                archivedAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            };
+            recordRevision(tx.repository('productRevisions'), product, archivedProduct, {
+                action: 'archive',
+                user: req.session.user
+            });
+            return products.replace(product.id, archivedProduct);
+        });
+
+        if (permanent) {
+            getProductIndex().remove(product.id);
+            await Promise.all([...uploadIds].map(id => removeImage({ id })));
+            return res.json({ message: 'Product deleted successfully' });
+        }
+
+        getProductIndex().upsert(product);
+        res.json({
+            message: 'Product archived',
+            product
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete product error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete product'
+        });
+    }
+});
+
+/**
+ * POST /api/products/:id/restore
+ * Bring an archived product back with the status it had before (admin only)
  */
-router.delete('/:id', requireAdmin, (req, res) => {
+router.post('/:id/restore', requireAdmin, validate({ params: productParams }), async (req, res) => {
     try {
-        const products = readData(PRODUCTS_FILE);
-        const index = products.findIndex(p => p.id === req.params.id);
+        const product = await transaction(tx => {
+            const products = tx.repository('products');
+            const revisions = tx.repository('productRevisions');
+            const product = products.findById(req.params.id);
+
+            if (!product) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            if (product.status !== 'archived') {
+                throw new HttpError(400, 'Not archived', 'Only archived products can be restored');
+            }
 
-        if (index === -1) {
+            const archived = revisions
+                .query(r => r.productId === product.id && r.changes.status && r.changes.status.to === 'archived')
+                .sort((a, b) => b.revision - a.revision)[0];
+
+            const { archivedAt, ...restoredProduct } = product;
+            restoredProduct.status = archived && archived.changes.status.from !== 'archived'
+                ? archived.changes.status.from || 'active'
+                : 'active';
+            restoredProduct.updatedAt = getTimestamp();
+
+            recordRevision(revisions, product, restoredProduct, {
+                action: 'restore',
+                user: req.session.user
+            });
+            return products.replace(product.id, restoredProduct);
+        });
+        getProductIndex().upsert(product);
+
+        res.json({
+            message: 'Product restored',
+            product
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Restore product error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to restore product'
+        });
+    }
+});
+
+/**
+ * GET /api/products/:id/revisions
+ * Revision history of a product, newest first (admin only)
+ */
+router.get('/:id/revisions', requireAdmin, validate({ params: productParams }), (req, res) => {
+    try {
+        if (!productRepo.findById(req.params.id)) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Product not found'
             });
         }
 
-        products.splice(index, 1);
-        writeData(PRODUCTS_FILE, products);
+        const revisions = repository('productRevisions')
+            .query({ productId: req.params.id })
+            .sort((a, b) => b.revision - a.revision);
 
-        res.json({ message: 'Product deleted successfully' });
+        res.json({ revisions });
 
     } catch (error) {
-        console.error('Delete product error:', error);
+        console.error('Get product revisions error:', error);
         res.status(500).json({
             error: 'Server error',
-            message: 'Failed to delete product'
+            message: 'Failed to get product revisions'
+        });
+    }
+});
+
+/**
+ * POST /api/products/:id/revisions/:revision/rollback
+ * Return a product to how it was right after a revision (admin only)
+ * The rollback is itself recorded as a new revision, so it can be undone.
+ */
+router.post('/:id/revisions/:revision/rollback', requireAdmin, validate({
+    params: { ...productParams, revision: { type: 'integer', required: true, min: 1 } }
+}), async (req, res) => {
+    try {
+        const revisionNumber = req.params.revision;
+
+        const product = await transaction(tx => {
+            const products = tx.repository('products');
+            const revisions = tx.repository('productRevisions');
+            const product = products.findById(req.params.id);
+
+            if (!product) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            const history = revisions.query({ productId: product.id });
+            if (!history.some(r => r.revision === revisionNumber)) {
+                throw new HttpError(404, 'Not found', 'Revision not found');
+            }
+
+            const restoredProduct = productAtRevision(product, history, revisionNumber);
+            restoredProduct.updatedAt = getTimestamp();
+            syncStock(restoredProduct);
+
+            // Categories may have been renamed, moved or merged away since
+            const tree = new CategoryTree(tx.repository('categories').findAll());
+            Object.assign(restoredProduct, productCategoryFields(
+                tree,
+                tree.get(restoredProduct.categoryId) ? restoredProduct.categoryId : product.categoryId
+            ));
+
+            if (restoredProduct.sku !== product.sku &&
+                products.findOne(p => p.sku === restoredProduct.sku && p.id !== product.id)) {
+                throw new HttpError(409, 'SKU exists', `A product with SKU ${restoredProduct.sku} already exists`);
+            }
+
+            recordStockChanges(tx.repository('stockMovements'), product, restoredProduct, {
+                type: 'adjustment',
+                reason: `Rolled back to revision ${revisionNumber}`,
+                userId: req.session.user.id
+            });
+            recordRevision(revisions, product, restoredProduct, {
+                action: 'rollback',
+                user: req.session.user,
+                note: `Rolled back to revision ${revisionNumber}`
+            });
+            return products.replace(product.id, restoredProduct);
+        });
+        getProductIndex().upsert(product);
+
+        res.json({
+            message: `Product rolled back to revision ${revisionNumber}`,
+            product
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Rollback product error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to roll back product'
+        });
+    }
+});
+
+/**
+ * POST /api/products/:id/images
+ * Upload images for a product (admin only)
+ *
+ * Takes multipart/form-data with one or more files in the "images" field.
+ * Each file is stored in thumbnail, card and zoom sizes and appended to the
+ * product's images.
+ */
+router.post('/:id/images', requireAdmin, validate({ params: productParams }), uploadImages, async (req, res) => {
+    const saved = [];
+
+    try {
+        if (!productRepo.findById(req.params.id)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Product not found'
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                error: 'Missing file',
+                message: 'Attach at least one image in the "images" field'
+            });
+        }
+
+        for (const file of req.files) {
+            saved.push(await saveImage(file));
+        }
+
+        const product = await transaction(tx => {
+            const products = tx.repository('products');
+            const product = products.findById(req.params.id);
+
+            if (!product) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            const updatedProduct = products.update(product.id, {
+                images: [...product.images, ...saved],
+                updatedAt: getTimestamp()
+            });
+            recordRevision(tx.repository('productRevisions'), product, updatedProduct, {
+                action: 'update',
+                user: req.session.user,
+                note: 'Images uploaded'
+            });
+            return updatedProduct;
+        });
+
+        res.status(201).json({
+            message: 'Images uploaded successfully',
+            images: saved,
+            product
+        });
+
+    } catch (error) {
+        await Promise.all(saved.map(removeImage));
+
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Upload product images error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to upload images'
+        });
+    }
+});
+
+/**
+ * DELETE /api/products/:id/images/:imageId
+ * Remove an uploaded image from a product (admin only)
+ * Its files stay for rolling back, see utils/images.js.
+ */
+router.delete('/:id/images/:imageId', requireAdmin, validate({
+    params: { ...productParams, imageId: ID }
+}), async (req, res) => {
+    try {
+        const product = await transaction(tx => {
+            const products = tx.repository('products');
+            const product = products.findById(req.params.id);
+
+            if (!product) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            const image = product.images.find(i => typeof i === 'object' && i.id === req.params.imageId);
+            if (!image) {
+                throw new HttpError(404, 'Not found', 'Image not found');
+            }
+
+            const updatedProduct = products.update(product.id, {
+                images: product.images.filter(i => i !== image),
+                updatedAt: getTimestamp()
+            });
+            recordRevision(tx.repository('productRevisions'), product, updatedProduct, {
+                action: 'update',
+                user: req.session.user,
+                note: 'Image deleted'
+            });
+            return updatedProduct;
+        });
+
+        res.json({
+            message: 'Image deleted successfully',
+            product
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete product image error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete image'
+        });
+    }
+});
+
+/**
+ * GET /api/products/:id/reviews
+ * Get published reviews for a product with pagination
+ */
+router.get('/:id/reviews', validate({ params: productParams, query: PAGINATION }), (req, res) => {
+    try {
+        const product = productRepo.findById(req.params.id);
+
+        if (!product) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Product not found'
+            });
+        }
+
+        const { limit, page } = req.query;
+        const reviews = repository('reviews')
+            .query({ productId: product.id, status: 'published' })
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        const pageSize = limit ? parseInt(limit) : 5;
+        const pageNum = parseInt(page);
+        const startIndex = (pageNum - 1) * pageSize;
+
+        res.json({
+            reviews: reviews.slice(startIndex, startIndex + pageSize),
+            summary: summarizeReviews(reviews),
+            pagination: {
+                total: reviews.length,
+                page: pageNum,
+                pageSize: pageSize,
+                totalPages: Math.ceil(reviews.length / pageSize)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get reviews'
+        });
+    }
+});
+
+/**
+ * POST /api/products/:id/reviews
+ * Post a review for a product on sale (one per customer)
+ */
+router.post('/:id/reviews', requireAuth, validate({ params: productParams, body: REVIEW_SCHEMA }), async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+
+        const review = await transaction(tx => {
+            const products = tx.repository('products');
+            const reviews = tx.repository('reviews');
+            const product = products.findById(req.params.id);
+
+            if (!isActive(product)) {
+                throw new HttpError(404, 'Not found', 'Product not found');
+            }
+
+            if (reviews.findOne({ productId: product.id, userId })) {
+                throw new HttpError(409, 'Review exists', 'You have already reviewed this product');
+            }
+
+            const newReview = reviews.insert({
+                id: generateId(),
+                productId: product.id,
+                userId,
+                userName: req.session.user.name,
+                ...req.body,
+                verifiedPurchase: hasPurchased(tx.repository('orders'), userId, product.id),
+                status: 'published',
+                moderationNote: '',
+                createdAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            });
+
+            refreshProductRating(products, reviews, product.id);
+            return newReview;
+        });
+
+        res.status(201).json({
+            message: 'Review posted successfully',
+            review
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Create review error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to post review'
         });
     }
 });
@@ -0,0 +1,206 @@
+const express = require('express');
+const { generateId, getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { CategoryTree } = require('../utils/categories');
+const { PROMOTION_TYPES, promotionState, checkPromotion } = require('../utils/promotions');
+const { ID, partial } = require('../utils/schema');
+const { requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const promotionRepo = repository('promotions');
+
+const PROMOTION_STATES = ['scheduled', 'running', 'ended', 'disabled'];
+
+const DATE = {
+    type: 'string',
+    required: true,
+    check: value => !Number.isNaN(Date.parse(value)) || 'must be a date and time'
+};
+
+const promotionSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', maxLength: 1000, default: '' },
+    type: { type: 'string', required: true, enum: PROMOTION_TYPES },
+    value: { type: 'number', required: true, min: 0 },
+    startsAt: DATE,
+    endsAt: DATE,
+    productIds: { type: 'array', items: ID, maxLength: 500, default: [] },
+    categoryIds: { type: 'array', items: ID, maxLength: 100, default: [] },
+    brands: { type: 'array', items: { type: 'string', maxLength: 100 }, maxLength: 100, default: [] },
+    enabled: { type: 'boolean', default: true }
+};
+
+/**
+ * Store dates in one format so they compare and display consistently
+ */
+function normalizeDates(input) {
+    const output = { ...input };
+    ['startsAt', 'endsAt'].forEach(field => {
+        if (output[field] !== undefined) output[field] = new Date(output[field]).toISOString();
+    });
+    return output;
+}
+
+function withState(promotion, now = new Date()) {
+    return { ...promotion, state: promotionState(promotion, now) };
+}
+
+/**
+ * GET /api/promotions
+ * All promotions, newest start first, optionally filtered by state (admin only)
+ */
+router.get('/', requireAdmin, validate({ query: { state: { type: 'string', enum: PROMOTION_STATES } } }), (req, res) => {
+    try {
+        const now = new Date();
+        const promotions = promotionRepo.findAll()
+            .map(p => withState(p, now))
+            .filter(p => !req.query.state || p.state === req.query.state)
+            .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt));
+
+        res.json({ promotions });
+
+    } catch (error) {
+        console.error('Get promotions error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get promotions'
+        });
+    }
+});
+
+/**
+ * GET /api/promotions/:id
+ * Get a promotion by ID (admin only)
+ */
+router.get('/:id', requireAdmin, validate({ params: { id: ID } }), (req, res) => {
+    try {
+        const promotion = promotionRepo.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Promotion not found'
+            });
+        }
+
+        res.json({ promotion: withState(promotion) });
+
+    } catch (error) {
+        console.error('Get promotion error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get promotion'
+        });
+    }
+});
+
+/**
+ * POST /api/promotions
+ * Schedule a promotion (admin only)
+ */
+router.post('/', requireAdmin, validate({ body: promotionSchema }), async (req, res) => {
+    try {
+        const promotion = await transaction(tx => {
+            const input = checkPromotion(normalizeDates(req.body), {
+                tree: new CategoryTree(tx.repository('categories').findAll()),
+                products: tx.repository('products')
+            });
+
+            return tx.repository('promotions').insert({
+                id: generateId(),
+                ...input,
+                createdAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            });
+        });
+
+        res.status(201).json({
+            message: 'Promotion created successfully',
+            promotion: withState(promotion)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Create promotion error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create promotion'
+        });
+    }
+});
+
+/**
+ * PUT /api/promotions/:id
+ * Change a promotion's schedule, discount or targets, or switch it on or off (admin only)
+ */
+router.put('/:id', requireAdmin, validate({ params: { id: ID }, body: partial(promotionSchema) }), async (req, res) => {
+    try {
+        const promotion = await transaction(tx => {
+            const promotions = tx.repository('promotions');
+            const existing = promotions.findById(req.params.id);
+
+            if (!existing) {
+                throw new HttpError(404, 'Not found', 'Promotion not found');
+            }
+
+            const input = normalizeDates(req.body);
+            checkPromotion(input, {
+                tree: new CategoryTree(tx.repository('categories').findAll()),
+                products: tx.repository('products')
+            }, existing);
+
+            return promotions.update(existing.id, { ...input, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Promotion updated successfully',
+            promotion: withState(promotion)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update promotion error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update promotion'
+        });
+    }
+});
+
+/**
+ * DELETE /api/promotions/:id
+ * Delete a promotion (admin only)
+ * Orders placed during it keep the promotion's name on their items.
+ */
+router.delete('/:id', requireAdmin, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const promotions = tx.repository('promotions');
+
+            if (!promotions.findById(req.params.id)) {
+                throw new HttpError(404, 'Not found', 'Promotion not found');
+            }
+            promotions.delete(req.params.id);
+        });
+
+        res.json({ message: 'Promotion deleted successfully' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete promotion error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete promotion'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const { getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { REVIEW_STATUSES, REVIEW_SCHEMA, refreshProductRating } = require('../utils/reviews');
+const { ID, partial } = require('../utils/schema');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const reviewRepo = repository('reviews');
+
+/**
+ * GET /api/reviews
+ * List reviews for moderation (admin only)
+ */
+router.get('/', requireAdmin, validate({
+    query: {
+        status: { type: 'string', enum: REVIEW_STATUSES },
+        productId: { ...ID, required: false }
+    }
+}), (req, res) => {
+    try {
+        const { status, productId } = req.query;
+
+        let reviews = reviewRepo.findAll();
+
+        if (status) {
+            reviews = reviews.filter(r => r.status === status);
+        }
+        if (productId) {
+            reviews = reviews.filter(r => r.productId === productId);
+        }
+
+        // Sort by newest first
+        reviews.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({ reviews });
+
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get reviews'
+        });
+    }
+});
+
+/**
+ * PUT /api/reviews/:id
+ * Edit own review
+ */
+router.put('/:id', requireAuth, validate({ params: { id: ID }, body: partial(REVIEW_SCHEMA) }), async (req, res) => {
+    try {
+        const review = await transaction(tx => {
+            const reviews = tx.repository('reviews');
+            const review = reviews.findById(req.params.id);
+
+            if (!review) {
+                throw new HttpError(404, 'Not found', 'Review not found');
+            }
+
+            if (review.userId !== req.session.user.id) {
+                throw new HttpError(403, 'Access denied', 'You can only edit your own reviews');
+            }
+
+            const updatedReview = reviews.update(review.id, {
+                ...req.body,
+                updatedAt: getTimestamp()
+            });
+
+            refreshProductRating(tx.repository('products'), reviews, review.productId);
+            return updatedReview;
+        });
+
+        res.json({
+            message: 'Review updated successfully',
+            review
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Update review error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to update review'
+        });
+    }
+});
+
+/**
+ * DELETE /api/reviews/:id
+ * Delete a review (author or admin)
+ */
+router.delete('/:id', requireAuth, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const reviews = tx.repository('reviews');
+            const review = reviews.findById(req.params.id);
+
+            if (!review) {
+                throw new HttpError(404, 'Not found', 'Review not found');
+            }
+
+            if (review.userId !== req.session.user.id && req.session.user.role !== 'admin') {
+                throw new HttpError(403, 'Access denied', 'You cannot delete this review');
+            }
+
+            reviews.delete(review.id);
+            refreshProductRating(tx.repository('products'), reviews, review.productId);
+        });
+
+        res.json({ message: 'Review deleted successfully' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete review error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete review'
+        });
+    }
+});
+
+/**
+ * PUT /api/reviews/:id/moderate
+ * Publish or hide a review (admin only)
+ */
+router.put('/:id/moderate', requireAdmin, validate({
+    params: { id: ID },
+    body: {
+        status: { type: 'string', required: true, enum: REVIEW_STATUSES },
+        note: { type: 'string', maxLength: 500 }
+    }
+}), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        const review = await transaction(tx => {
+            const reviews = tx.repository('reviews');
+            const review = reviews.findById(req.params.id);
+
+            if (!review) {
+                throw new HttpError(404, 'Not found', 'Review not found');
+            }
+
+            const updatedReview = reviews.update(review.id, {
+                status,
+                moderationNote: note || '',
+                moderatedBy: req.session.user.id,
+                moderatedAt: getTimestamp()
+            });
+
+            refreshProductRating(tx.repository('products'), reviews, review.productId);
+            return updatedReview;
+        });
+
+        res.json({
+            message: 'Review moderated',
+            review
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Moderate review error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to moderate review'
+        });
+    }
+});
+
+module.exports = router;
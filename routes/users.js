@@ -1,10 +1,36 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const { readData, writeData, getTimestamp, isValidEmail } = require('../utils/helpers');
+const { getTimestamp } = require('../utils/helpers');
+const { repository } = require('../utils/storage');
 const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
-const USERS_FILE = 'users.json';
+const userRepo = repository('users');
+
+const addressField = { type: 'string', maxLength: 100 };
+
+const profileSchema = {
+    name: { type: 'string', blank: false, maxLength: 100 },
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    phone: { type: 'string', maxLength: 30 },
+    address: {
+        type: 'object',
+        properties: {
+            street: addressField,
+            city: addressField,
+            state: addressField,
+            zipCode: { type: 'string', maxLength: 20 },
+            country: addressField
+        }
+    }
+};
+
+const passwordSchema = {
+    currentPassword: { type: 'string', required: true, trim: false },
+    newPassword: { type: 'string', required: true, trim: false, minLength: 6, maxLength: 128 },
+    confirmPassword: { type: 'string', required: true, trim: false }
+};
 
 /**
  * GET /api/users/profile
@@ -12,8 +38,7 @@ const USERS_FILE = 'users.json';
  */
 router.get('/profile', requireAuth, (req, res) => {
     try {
-        const users = readData(USERS_FILE);
-        const user = users.find(u => u.id === req.session.user.id);
+        const user = userRepo.findById(req.session.user.id);
 
         if (!user) {
             return res.status(404).json({
@@ -39,31 +64,22 @@ router.get('/profile', requireAuth, (req, res) => {
  * PUT /api/users/profile
  * Update current user's profile
  */
-router.put('/profile', requireAuth, async (req, res) => {
+router.put('/profile', requireAuth, validate({ body: profileSchema }), async (req, res) => {
     try {
         const { name, email, phone, address } = req.body;
 
-        const users = readData(USERS_FILE);
-        const userIndex = users.findIndex(u => u.id === req.session.user.id);
+        const user = userRepo.findById(req.session.user.id);
 
-        if (userIndex === -1) {
+        if (!user) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'User not found'
             });
         }
 
-        // Validate email if changed
-        if (email && email !== users[userIndex].email) {
-            if (!isValidEmail(email)) {
-                return res.status(400).json({
-                    error: 'Invalid email',
-                    message: 'Please provide a valid email address'
-                });
-            }
-
-            // Check if email already exists
-            const emailExists = users.find(
+        // Check the new email isn't taken
+        if (email && email !== user.email) {
+            const emailExists = userRepo.findOne(
                 u => u.email.toLowerCase() === email.toLowerCase() && u.id !== req.session.user.id
             );
 
@@ -76,25 +92,25 @@ router.put('/profile', requireAuth, async (req, res) => {
         }
 
         // Update user
-        if (name) users[userIndex].name = name.trim();
-        if (email) users[userIndex].email = email.toLowerCase().trim();
-        if (phone !== undefined) users[userIndex].phone = phone.trim();
+        if (name) user.name = name;
+        if (email) user.email = email.toLowerCase();
+        if (phone !== undefined) user.phone = phone;
         if (address) {
-            users[userIndex].address = {
-                ...users[userIndex].address,
+            user.address = {
+                ...user.address,
                 ...address
             };
         }
-        users[userIndex].updatedAt = getTimestamp();
+        user.updatedAt = getTimestamp();
 
-        writeData(USERS_FILE, users);
+        userRepo.replace(user.id, user);
 
         // Update session
-        req.session.user.name = users[userIndex].name;
-        req.session.user.email = users[userIndex].email;
+        req.session.user.name = user.name;
+        req.session.user.email = user.email;
 
         // Return updated user without password
-        const { password, ...userProfile } = users[userIndex];
+        const { password, ...userProfile } = user;
         res.json({
             message: 'Profile updated successfully',
             user: userProfile
@@ -113,25 +129,10 @@ router.put('/profile', requireAuth, async (req, res) => {
  * PUT /api/users/password
  * Change password
  */
-router.put('/password', requireAuth, async (req, res) => {
+router.put('/password', requireAuth, validate({ body: passwordSchema }), async (req, res) => {
     try {
         const { currentPassword, newPassword, confirmPassword } = req.body;
 
-        // Validation
-        if (!currentPassword || !newPassword || !confirmPassword) {
-            return res.status(400).json({
-                error: 'Missing fields',
-                message: 'All password fields are required'
-            });
-        }
-
-        if (newPassword.length < 6) {
-            return res.status(400).json({
-                error: 'Weak password',
-                message: 'New password must be at least 6 characters'
-            });
-        }
-
         if (newPassword !== confirmPassword) {
             return res.status(400).json({
                 error: 'Password mismatch',
@@ -139,10 +140,9 @@ router.put('/password', requireAuth, async (req, res) => {
             });
         }
 
-        const users = readData(USERS_FILE);
-        const userIndex = users.findIndex(u => u.id === req.session.user.id);
+        const user = userRepo.findById(req.session.user.id);
 
-        if (userIndex === -1) {
+        if (!user) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'User not found'
@@ -150,7 +150,7 @@ router.put('/password', requireAuth, async (req, res) => {
         }
 
         // Verify current password
-        const isValidPassword = await bcrypt.compare(currentPassword, users[userIndex].password);
+        const isValidPassword = await bcrypt.compare(currentPassword, user.password);
 
         if (!isValidPassword) {
             return res.status(401).json({
@@ -161,10 +161,10 @@ router.put('/password', requireAuth, async (req, res) => {
 
         // Hash and save new password
         const saltRounds = 10;
-        users[userIndex].password = await bcrypt.hash(newPassword, saltRounds);
-        users[userIndex].updatedAt = getTimestamp();
+        user.password = await bcrypt.hash(newPassword, saltRounds);
+        user.updatedAt = getTimestamp();
 
-        writeData(USERS_FILE, users);
+        userRepo.replace(user.id, user);
 
         res.json({ message: 'Password changed successfully' });
 
@@ -0,0 +1,366 @@
+const express = require('express');
+const { getTimestamp } = require('../utils/helpers');
+const { repository, transaction } = require('../utils/storage');
+const { HttpError } = require('../utils/errors');
+const { currentPricing } = require('../utils/promotions');
+const { MAX_QUANTITY, findCartItemIndex, cartCount, addCartLine, loadCart, saveCart } = require('../utils/carts');
+const { releaseHolds } = require('../utils/reservations');
+const { currentConverter } = require('../utils/currency');
+const { createShareToken, findOwnWishlist, newWishlist, addWishlistItem, describeWishlist } = require('../utils/wishlists');
+const { ID } = require('../utils/schema');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+const wishlistRepo = repository('wishlists');
+const userRepo = repository('users');
+
+const nameSchema = { name: { type: 'string', required: true, maxLength: 100 } };
+
+const itemSchema = {
+    productId: ID,
+    variantId: { ...ID, required: false, nullable: true }
+};
+
+function shareUrl(wishlist) {
+    return wishlist.shareToken ? `/wishlist.html?token=${wishlist.shareToken}` : null;
+}
+
+function wishlistView(wishlist, req) {
+    return { ...describeWishlist(wishlist, currentConverter(req), req.session.user.id), shareUrl: shareUrl(wishlist) };
+}
+
+/**
+ * GET /api/wishlists/shared/:token
+ * Read-only view of a shared wishlist (no login needed)
+ */
+router.get('/shared/:token', validate({
+    params: { token: { type: 'string', required: true, pattern: /^[a-f0-9]{32}$/ } }
+}), (req, res) => {
+    try {
+        const wishlist = wishlistRepo.findOne({ shareToken: req.params.token });
+
+        if (!wishlist) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'This wishlist is not shared (any more)'
+            });
+        }
+
+        const owner = userRepo.findById(wishlist.userId);
+        const { name, items, updatedAt } = describeWishlist(wishlist, currentConverter(req));
+
+        res.json({
+            wishlist: { name, ownerName: owner ? owner.name : '', items, updatedAt }
+        });
+
+    } catch (error) {
+        console.error('Get shared wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get wishlist'
+        });
+    }
+});
+
+/**
+ * GET /api/wishlists
+ * The user's wishlists with current prices and stock, oldest first
+ */
+router.get('/', requireAuth, (req, res) => {
+    try {
+        const wishlists = wishlistRepo.query({ userId: req.session.user.id })
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(w => wishlistView(w, req));
+
+        res.json({ wishlists });
+
+    } catch (error) {
+        console.error('Get wishlists error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get wishlists'
+        });
+    }
+});
+
+/**
+ * GET /api/wishlists/:id
+ * One of the user's wishlists
+ */
+router.get('/:id', requireAuth, validate({ params: { id: ID } }), (req, res) => {
+    try {
+        const wishlist = findOwnWishlist(wishlistRepo, req.params.id, req.session.user.id);
+        res.json({ wishlist: wishlistView(wishlist, req) });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Get wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to get wishlist'
+        });
+    }
+});
+
+/**
+ * POST /api/wishlists
+ * Create a wishlist
+ */
+router.post('/', requireAuth, validate({ body: nameSchema }), async (req, res) => {
+    try {
+        const wishlist = await transaction(tx =>
+            tx.repository('wishlists').insert(newWishlist(req.session.user.id, req.body.name)));
+
+        res.status(201).json({
+            message: 'Wishlist created',
+            wishlist: wishlistView(wishlist, req)
+        });
+
+    } catch (error) {
+        console.error('Create wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to create wishlist'
+        });
+    }
+});
+
+/**
+ * PUT /api/wishlists/:id
+ * Rename a wishlist
+ */
+router.put('/:id', requireAuth, validate({ params: { id: ID }, body: nameSchema }), async (req, res) => {
+    try {
+        const wishlist = await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            findOwnWishlist(wishlists, req.params.id, req.session.user.id);
+            return wishlists.update(req.params.id, { name: req.body.name, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Wishlist renamed',
+            wishlist: wishlistView(wishlist, req)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Rename wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to rename wishlist'
+        });
+    }
+});
+
+/**
+ * DELETE /api/wishlists/:id
+ * Delete a wishlist and everything on it
+ */
+router.delete('/:id', requireAuth, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            findOwnWishlist(wishlists, req.params.id, req.session.user.id);
+            wishlists.delete(req.params.id);
+        });
+
+        res.json({ message: 'Wishlist deleted' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Delete wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to delete wishlist'
+        });
+    }
+});
+
+/**
+ * POST /api/wishlists/:id/items
+ * Save a product (or one of its variants) to a wishlist at its current price
+ */
+router.post('/:id/items', requireAuth, validate({ params: { id: ID }, body: itemSchema }), async (req, res) => {
+    try {
+        const wishlist = await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            const wishlist = findOwnWishlist(wishlists, req.params.id, req.session.user.id);
+            const items = addWishlistItem(wishlist.items, req.body, tx.repository('products'), currentPricing(tx));
+
+            return wishlists.update(wishlist.id, { items, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: `Saved to ${wishlist.name}`,
+            wishlist: wishlistView(wishlist, req)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Add to wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to add item to wishlist'
+        });
+    }
+});
+
+/**
+ * DELETE /api/wishlists/:id/items/:productId
+ * Remove a product from a wishlist (pass ?variantId= for a specific variant)
+ */
+router.delete('/:id/items/:productId', requireAuth, validate({
+    params: { id: ID, productId: ID },
+    query: { variantId: { ...ID, required: false } }
+}), async (req, res) => {
+    try {
+        const wishlist = await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            const wishlist = findOwnWishlist(wishlists, req.params.id, req.session.user.id);
+            const index = findCartItemIndex(wishlist.items, req.params.productId, req.query.variantId);
+
+            if (index === -1) {
+                throw new HttpError(404, 'Not in wishlist', 'Item not found in wishlist');
+            }
+
+            const items = wishlist.items.filter((item, i) => i !== index);
+            return wishlists.update(wishlist.id, { items, updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Item removed from wishlist',
+            wishlist: wishlistView(wishlist, req)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Remove from wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to remove item from wishlist'
+        });
+    }
+});
+
+/**
+ * POST /api/wishlists/:id/move-to-cart
+ * Move a product from a wishlist to the cart
+ */
+router.post('/:id/move-to-cart', requireAuth, validate({
+    params: { id: ID },
+    body: {
+        ...itemSchema,
+        quantity: { type: 'integer', min: 1, max: MAX_QUANTITY, default: 1 }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const cart = await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            const carts = tx.repository('carts');
+            const wishlist = findOwnWishlist(wishlists, req.params.id, userId);
+            const index = findCartItemIndex(wishlist.items, req.body.productId, req.body.variantId);
+
+            if (index === -1) {
+                throw new HttpError(404, 'Not in wishlist', 'Item not found in wishlist');
+            }
+
+            const cart = addCartLine(loadCart(req, carts), req.body, userId, tx);
+            saveCart(req, cart, carts);
+            // Holds from a checkout started earlier were for the old cart
+            releaseHolds(tx.repository('reservations'), userId);
+
+            wishlists.update(wishlist.id, {
+                items: wishlist.items.filter((item, i) => i !== index),
+                updatedAt: getTimestamp()
+            });
+            return cart;
+        });
+
+        res.json({
+            message: 'Item moved to cart',
+            cartCount: cartCount(cart)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Move to cart error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to move item to cart'
+        });
+    }
+});
+
+/**
+ * POST /api/wishlists/:id/share
+ * Share a wishlist: anyone with the returned link can view it
+ * Sharing again keeps the same link.
+ */
+router.post('/:id/share', requireAuth, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        const wishlist = await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            const wishlist = findOwnWishlist(wishlists, req.params.id, req.session.user.id);
+
+            if (wishlist.shareToken) return wishlist;
+            return wishlists.update(wishlist.id, { shareToken: createShareToken(), updatedAt: getTimestamp() });
+        });
+
+        res.json({
+            message: 'Wishlist shared',
+            shareToken: wishlist.shareToken,
+            shareUrl: shareUrl(wishlist)
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Share wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to share wishlist'
+        });
+    }
+});
+
+/**
+ * DELETE /api/wishlists/:id/share
+ * Stop sharing a wishlist; its old link stops working
+ */
+router.delete('/:id/share', requireAuth, validate({ params: { id: ID } }), async (req, res) => {
+    try {
+        await transaction(tx => {
+            const wishlists = tx.repository('wishlists');
+            findOwnWishlist(wishlists, req.params.id, req.session.user.id);
+            wishlists.update(req.params.id, { shareToken: null, updatedAt: getTimestamp() });
+        });
+
+        res.json({ message: 'Wishlist no longer shared' });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json(error);
+        }
+        console.error('Unshare wishlist error:', error);
+        res.status(500).json({
+            error: 'Server error',
+            message: 'Failed to stop sharing wishlist'
+        });
+    }
+});
+
+module.exports = router;
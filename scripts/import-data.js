@@ -0,0 +1,43 @@
+/**
+ * One-shot importer: copies the legacy data/*.json files into the configured store
+ *
+ * Usage: STORAGE_DRIVER=sqlite node scripts/import-data.js [--force]
+ *
+ * Collections that already contain records are skipped unless --force is given,
+ * in which case they are replaced by the contents of the JSON file.
+ */
+const fs = require('fs');
+const config = require('../config');
+const JsonFileAdapter = require('../utils/storage/jsonAdapter');
+const { getAdapter } = require('../utils/storage');
+
+function importData({ force = false } = {}) {
+    if (config.storage.driver === 'json') {
+        console.log('Storage driver is "json", the data files are already the store. Nothing to import.');
+        return;
+    }
+
+    const source = new JsonFileAdapter({ dataDir: config.storage.dataDir });
+    const target = getAdapter();
+
+    const collections = fs.readdirSync(config.storage.dataDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, ''));
+
+    for (const collection of collections) {
+        const records = source.findAll(collection);
+        const existing = target.findAll(collection).length;
+
+        if (existing > 0 && !force) {
+            console.log(`Skipping ${collection}: target already has ${existing} records (use --force to replace)`);
+            continue;
+        }
+
+        target.replaceAll(collection, records);
+        console.log(`Imported ${records.length} ${collection}`);
+    }
+
+    target.close();
+}
+
+importData({ force: process.argv.includes('--force') });
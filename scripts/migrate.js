@@ -0,0 +1,27 @@
+/**
+ * Upgrade the data store to the latest schema
+ *
+ * Usage: node scripts/migrate.js           apply pending migrations
+ *        node scripts/migrate.js --status  show schema versions without changing anything
+ */
+const { getAdapter } = require('../utils/storage');
+const { getStatus, migrate } = require('../utils/migrations');
+
+async function main() {
+    if (process.argv.includes('--status')) {
+        for (const { collection, current, latest, pending } of getStatus()) {
+            console.log(`${collection}: version ${current} of ${latest}${pending.length ? ` (pending: ${pending.join(', ')})` : ''}`);
+        }
+        return;
+    }
+
+    const applied = await migrate();
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+}
+
+main()
+    .catch(error => {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => getAdapter().close());
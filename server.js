@@ -2,6 +2,12 @@ const express = require('express');
 const cors = require('cors');
 const session = require('express-session');
 const path = require('path');
+const config = require('./config');
+const { migrate } = require('./utils/migrations');
+const { HttpError } = require('./utils/errors');
+const { startReservationSweeper } = require('./utils/reservations');
+const { startIdempotencySweeper } = require('./utils/idempotency');
+const { idempotency } = require('./middleware/idempotency');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -9,9 +15,18 @@ const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/users');
+const reviewRoutes = require('./routes/reviews');
+const catalogRoutes = require('./routes/catalog');
+const inventoryRoutes = require('./routes/inventory');
+const categoryRoutes = require('./routes/categories');
+const promotionRoutes = require('./routes/promotions');
+const couponRoutes = require('./routes/coupons');
+const pricingRoutes = require('./routes/pricing');
+const wishlistRoutes = require('./routes/wishlists');
+const currencyRoutes = require('./routes/currencies');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
 // Middleware
 app.use(cors({
@@ -35,16 +50,30 @@ app.use(session({
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
+// Uploaded images never change once written, so they can be cached for long
+app.use('/uploads', express.static(config.uploads.dir, { maxAge: '30d', immutable: true }));
 
 // API Routes
 app.get('/api', (req, res) => {
     res.json({ message: 'E-commerce API is running' });
 });
 app.use('/api/auth', authRoutes);
+// Routes from here on honor Idempotency-Key. Auth comes first as replaying
+// a sign-in response wouldn't sign anyone in.
+app.use('/api', idempotency);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/currencies', currencyRoutes);
 
 // Serve index.html for root route
 app.get('/', (req, res) => {
@@ -53,11 +82,47 @@ app.get('/', (req, res) => {
 
 // Handle 404 for API routes
 app.use('/api/*', (req, res) => {
-    res.status(404).json({ error: 'API endpoint not found' });
+    res.status(404).json({
+        error: 'Not found',
+        message: 'API endpoint not found'
+    });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 E-commerce server running at http://localhost:${PORT}`);
-    console.log(`📦 API available at http://localhost:${PORT}/api`);
+// Errors passed on by middleware, e.g. a malformed JSON body, in the API's error format
+app.use((err, req, res, next) => {
+    if (err instanceof HttpError) {
+        return res.status(err.status).json(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: 'Invalid JSON',
+            message: 'The request body is not valid JSON'
+        });
+    }
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            error: 'Bad request',
+            message: err.message
+        });
+    }
+    console.error('Unhandled error:', err);
+    res.status(500).json({
+        error: 'Server error',
+        message: 'Something went wrong'
+    });
 });
+
+// Upgrade the data schema, then start server
+migrate()
+    .then(() => {
+        startReservationSweeper();
+        startIdempotencySweeper();
+        app.listen(PORT, () => {
+            console.log(`🚀 E-commerce server running at http://localhost:${PORT}`);
+            console.log(`📦 API available at http://localhost:${PORT}/api`);
+        });
+    })
+    .catch(error => {
+        console.error('❌ Data migration failed, refusing to start:', error.message);
+        process.exit(1);
+    });
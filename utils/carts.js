@@ -0,0 +1,256 @@
+const { repository } = require('./storage');
+const { HttpError } = require('./errors');
+const { hasVariants, findVariant, variantLabel, resolveVariant } = require('./variants');
+const { isActive } = require('./products');
+const { currentPricing } = require('./promotions');
+const { currentAvailability } = require('./reservations');
+
+/**
+ * Shopping carts
+ *
+ * A cart is a list of { productId, variantId, quantity, addedAt } lines,
+ * plus the coupon code applied to it. Guests keep theirs in the session.
+ * Signed-in users' carts are stored in the carts collection as
+ * { id, userId, items, couponCode, updatedAt } with the user's id as the
+ * record id, so they survive restarts and logging out and follow the user
+ * to other devices.
+ */
+
+const MAX_QUANTITY = 99;
+
+const cartRepo = repository('carts');
+const productRepo = repository('products');
+
+/**
+ * Find a cart line by product and variant
+ */
+function findCartItemIndex(cart, productId, variantId) {
+    return cart.findIndex(
+        item => item.productId === productId && (item.variantId || null) === (variantId || null)
+    );
+}
+
+function cartCount(cart) {
+    return cart.reduce((sum, item) => sum + item.quantity, 0);
+}
+
+/**
+ * Cart (or wishlist) lines with product details, current prices and the
+ * stock userId can still buy
+ * Lines for products that can no longer be bought are left out.
+ */
+function buildCartItems(lines, userId = null) {
+    const pricing = currentPricing();
+    const availability = currentAvailability(userId);
+
+    return lines.map(item => {
+        const product = productRepo.findById(item.productId);
+        if (!isActive(product)) return null;
+
+        const variant = item.variantId ? findVariant(product, item.variantId) : null;
+        if (item.variantId && !variant) return null;
+
+        const { price: basePrice, image } = resolveVariant(product, variant);
+        const { price, promotion } = pricing.priceFor(product, basePrice);
+        const stock = availability.stockFor(product, variant);
+
+        return {
+            ...item,
+            product: {
+                id: product.id,
+                name: product.name,
+                categoryId: product.categoryId,
+                weight: product.weight || 0,
+                price,
+                basePrice,
+                originalPrice: promotion ? Math.max(product.originalPrice || 0, basePrice) : product.originalPrice,
+                image,
+                stock
+            },
+            promotion,
+            variant: variant ? {
+                id: variant.id,
+                sku: variant.sku,
+                options: variant.options,
+                label: variantLabel(variant)
+            } : null
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Add quantity of a product (or one of its variants) to cart lines
+ * Checks the product can be bought and that the line stays within the
+ * stock userId can buy and MAX_QUANTITY; throws otherwise. Pass a
+ * transaction to read through it. Returns the new lines.
+ */
+function addCartLine(cart, { productId, variantId = null, quantity }, userId = null, tx = null) {
+    const product = (tx ? tx.repository('products') : productRepo).findById(productId);
+
+    if (!product || product.status === 'draft') {
+        throw new HttpError(404, 'Not found', 'Product not found');
+    }
+
+    if (!isActive(product)) {
+        throw new HttpError(400, 'Unavailable', 'This product is no longer available');
+    }
+
+    // Products with options must be added as a specific variant
+    const variant = variantId ? findVariant(product, variantId) : null;
+
+    if (hasVariants(product) && !variant) {
+        throw variantId
+            ? new HttpError(400, 'Not found', 'Variant not found')
+            : new HttpError(400, 'Variant required', 'Please select product options');
+    }
+
+    // Stock other customers hold at checkout can't be added
+    const stock = currentAvailability(userId, tx).stockFor(product, variant);
+
+    if (stock < quantity) {
+        throw new HttpError(400, 'Out of stock', 'Not enough stock available');
+    }
+
+    const lines = cart.map(item => ({ ...item }));
+    const existingIndex = findCartItemIndex(lines, productId, variant && variant.id);
+
+    if (existingIndex === -1) {
+        lines.push({
+            productId,
+            variantId: variant ? variant.id : null,
+            quantity,
+            addedAt: new Date().toISOString()
+        });
+        return lines;
+    }
+
+    const newQuantity = lines[existingIndex].quantity + quantity;
+
+    if (newQuantity > MAX_QUANTITY) {
+        throw new HttpError(400, 'Quantity limit', `You can order at most ${MAX_QUANTITY} of an item`);
+    }
+
+    if (newQuantity > stock) {
+        throw new HttpError(400, 'Stock limit', 'Cannot add more than available stock');
+    }
+
+    lines[existingIndex].quantity = newQuantity;
+    return lines;
+}
+
+/**
+ * The current visitor's cart lines
+ * Pass a transaction's carts repository to read through it.
+ */
+function loadCart(req, carts = cartRepo) {
+    if (!req.session.user) return req.session.cart || [];
+
+    const stored = carts.findById(req.session.user.id);
+    return stored ? stored.items.map(item => ({ ...item })) : [];
+}
+
+/**
+ * Store the current visitor's cart lines
+ */
+function saveCart(req, items, carts = cartRepo) {
+    if (!req.session.user) {
+        req.session.cart = items;
+        return;
+    }
+    storeCart(req.session.user.id, { items }, carts);
+}
+
+/**
+ * The coupon code applied to the current visitor's cart, or null
+ */
+function loadCouponCode(req, carts = cartRepo) {
+    if (!req.session.user) return req.session.couponCode || null;
+
+    const stored = carts.findById(req.session.user.id);
+    return stored ? stored.couponCode || null : null;
+}
+
+/**
+ * Apply a coupon code to the current visitor's cart (null removes it)
+ */
+function saveCouponCode(req, couponCode, carts = cartRepo) {
+    if (!req.session.user) {
+        req.session.couponCode = couponCode;
+        return;
+    }
+    storeCart(req.session.user.id, { couponCode }, carts);
+}
+
+function storeCart(userId, changes, carts) {
+    const stored = carts.findById(userId);
+    carts.upsert({
+        id: userId,
+        userId,
+        items: [],
+        couponCode: null,
+        ...stored,
+        ...changes,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Add guest cart lines to a stored cart
+ * Quantities of the same product and variant are combined, up to the stock
+ * on hand and MAX_QUANTITY. Lines for products that can no longer be bought
+ * are left out; a stored line is never reduced.
+ */
+function mergeCarts(stored, guest, products) {
+    const merged = stored.map(item => ({ ...item }));
+
+    for (const item of guest) {
+        const product = products.findById(item.productId);
+        const variant = product && item.variantId ? findVariant(product, item.variantId) : null;
+        if (!isActive(product) || (item.variantId && !variant)) continue;
+
+        const limit = Math.min(MAX_QUANTITY, resolveVariant(product, variant).stock);
+        const index = findCartItemIndex(merged, item.productId, item.variantId);
+
+        if (index > -1) {
+            const combined = Math.min(merged[index].quantity + item.quantity, limit);
+            merged[index].quantity = Math.max(merged[index].quantity, combined);
+        } else if (limit > 0) {
+            merged.push({ ...item, quantity: Math.min(item.quantity, limit) });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Move the session's guest cart into the signed-in user's stored cart
+ * A coupon code the guest applied replaces the stored one.
+ * Call right after setting req.session.user.
+ */
+function mergeGuestCart(req) {
+    const guest = req.session.cart || [];
+    const couponCode = req.session.couponCode;
+    delete req.session.cart;
+    delete req.session.couponCode;
+
+    if (couponCode) saveCouponCode(req, couponCode);
+    if (guest.length === 0) return loadCart(req);
+
+    const merged = mergeCarts(loadCart(req), guest, repository('products'));
+    saveCart(req, merged);
+    return merged;
+}
+
+module.exports = {
+    MAX_QUANTITY,
+    findCartItemIndex,
+    cartCount,
+    buildCartItems,
+    addCartLine,
+    loadCart,
+    saveCart,
+    loadCouponCode,
+    saveCouponCode,
+    mergeCarts,
+    mergeGuestCart
+};
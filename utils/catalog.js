@@ -0,0 +1,328 @@
+const { generateId, getTimestamp } = require('./helpers');
+const { parseCsv, stringifyCsv } = require('./csv');
+const { normalizeOptions, buildVariants, syncStock, hasVariants } = require('./variants');
+const { imageUrl, normalizeImage, foreignUploads } = require('./images');
+const { DEFAULT_REORDER_THRESHOLD } = require('./inventory');
+const { PRODUCT_STATUSES, productUploadIds } = require('./products');
+const { resolveProductCategory } = require('./categories');
+const { validateSchema, partial } = require('./schema');
+
+/**
+ * Catalog import/export
+ *
+ * CSV column mapping (one product per row, header row required):
+ *   sku, name, description, price, originalPrice, category, subcategory,
+ *   brand, stock, reorderThreshold, status, featured, tags, images, specifications
+ * - tags and images are lists separated by "|"; uploaded images are exported
+ *   as their zoom-size URL and recognised again on import, on the product
+ *   they were uploaded for only
+ * - specifications are "Key: Value" pairs separated by "|"
+ * - featured accepts true/false, yes/no or 1/0
+ * - status is draft, active or archived; new products default to active
+ * - category must be an existing top-level category (name or slug) and
+ *   subcategory, when given, a category below it
+ * Options and variants are only carried by the JSON format; a JSON record
+ * with options gets its variants regenerated like POST /api/products.
+ * Products with variants take their stock from them, so a stock that
+ * differs from the variants' total is reported rather than imported.
+ */
+
+const CSV_COLUMNS = [
+    'sku', 'name', 'description', 'price', 'originalPrice', 'category', 'subcategory',
+    'brand', 'stock', 'reorderThreshold', 'status', 'featured', 'tags', 'images', 'specifications'
+];
+
+const LIST_SEPARATOR = '|';
+
+function splitList(value) {
+    return String(value || '')
+        .split(LIST_SEPARATOR)
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+function encodeSpecifications(specifications) {
+    return Object.entries(specifications || {})
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(` ${LIST_SEPARATOR} `);
+}
+
+function decodeSpecifications(value) {
+    return splitList(value).reduce((specs, pair) => {
+        const separator = pair.indexOf(':');
+        if (separator > 0) {
+            specs[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        }
+        return specs;
+    }, {});
+}
+
+/**
+ * Export products as CSV text
+ */
+function toCsv(products) {
+    const rows = products.map(p => [
+        p.sku,
+        p.name,
+        p.description,
+        p.price,
+        p.originalPrice,
+        p.category,
+        p.subcategory,
+        p.brand,
+        p.stock,
+        p.reorderThreshold,
+        p.status,
+        p.featured ? 'true' : 'false',
+        (p.tags || []).join(LIST_SEPARATOR),
+        (p.images || []).map(image => imageUrl(image, 'zoom')).join(LIST_SEPARATOR),
+        encodeSpecifications(p.specifications)
+    ]);
+    return stringifyCsv([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Read CSV text into import records, keyed by the columns present
+ * Returns { records, rowNumbers } with the line each record came from.
+ */
+function fromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { records: [], rowNumbers: [] };
+
+    const columns = header.values.map(h => h.trim());
+    const unknown = columns.filter(c => !CSV_COLUMNS.includes(c));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column(s): ${unknown.join(', ')}`);
+    }
+
+    const records = rows.map(({ values }) => {
+        const record = {};
+        columns.forEach((column, i) => {
+            const value = (values[i] || '').trim();
+            if (column === 'tags' || column === 'images') {
+                record[column] = splitList(value);
+            } else if (column === 'specifications') {
+                record[column] = decodeSpecifications(value);
+            } else {
+                record[column] = value;
+            }
+        });
+        return record;
+    });
+    return { records, rowNumbers: rows.map(r => r.line) };
+}
+
+/**
+ * Read JSON text (an array of products, or { products: [...] }) into import records
+ */
+function fromJson(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data.products;
+    if (!Array.isArray(records)) {
+        throw new Error('Expected an array of products');
+    }
+    return records;
+}
+
+// Product fields an import record can set, checked like the product API's
+const IMPORT_SCHEMA = {
+    sku: { type: 'string', required: true, maxLength: 64 },
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    price: { type: 'number', required: true, min: 0 },
+    originalPrice: { type: 'number', min: 0 },
+    category: { type: 'string', required: true, maxLength: 100 },
+    subcategory: { type: 'string', maxLength: 100, nullable: true },
+    brand: { type: 'string', maxLength: 100, nullable: true },
+    stock: { type: 'integer', min: 0 },
+    reorderThreshold: { type: 'integer', min: 0 },
+    status: { type: 'string', enum: PRODUCT_STATUSES },
+    featured: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string', maxLength: 50 } },
+    images: { type: 'array', maxLength: 20 },
+    specifications: { type: 'object', values: { type: 'string', maxLength: 500 } }
+};
+
+// Only the SKU is needed to update a product
+const UPDATE_SCHEMA = { ...partial(IMPORT_SCHEMA), sku: IMPORT_SCHEMA.sku };
+
+const YES_NO = { yes: true, no: false };
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function isRecord(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate one import record and coerce it into product fields
+ * Returns { fields, errors } where errors are { field, message }.
+ */
+function validateRecord(record, { creating }) {
+    // Spellings spreadsheets use for status and featured
+    const input = { ...record };
+    if (typeof input.status === 'string') input.status = input.status.trim().toLowerCase();
+    if (typeof input.featured === 'string') {
+        const featured = input.featured.trim().toLowerCase();
+        input.featured = featured in YES_NO ? YES_NO[featured] : featured;
+    }
+
+    const { value: fields, errors } = validateSchema(input, creating ? IMPORT_SCHEMA : UPDATE_SCHEMA);
+
+    for (const field of ['subcategory', 'brand']) {
+        if (fields[field] === null) fields[field] = '';
+    }
+    if (fields.images) fields.images = fields.images.map(normalizeImage).filter(Boolean);
+
+    if ('options' in record) {
+        try {
+            fields.options = normalizeOptions(record.options);
+        } catch (error) {
+            errors.push({ field: 'options', message: error.message });
+        }
+    }
+
+    return { fields, errors };
+}
+
+/**
+ * Point an imported product at the category named by its category and
+ * subcategory fields, keeping the product's own values for those left out
+ */
+function applyCategory(fields, existing, tree, errors) {
+    if (!('category' in fields) && !('subcategory' in fields)) return;
+
+    const category = fields.category || existing.category;
+    const subcategory = 'subcategory' in fields || 'category' in fields
+        ? fields.subcategory
+        : existing.subcategory;
+
+    try {
+        Object.assign(fields, resolveProductCategory(tree, { category, subcategory }));
+    } catch (error) {
+        errors.push({ field: 'category', message: error.message });
+    }
+}
+
+/**
+ * Regenerate variants for an imported product that carries options
+ * and keep its total stock in line with the variants
+ */
+function applyVariants(product, record, existingVariants, errors) {
+    if (!('options' in record)) return syncStock(product);
+
+    try {
+        product.variants = buildVariants(product, product.options, record.variants, existingVariants);
+    } catch (error) {
+        errors.push({ field: 'variants', message: error.message });
+    }
+    return syncStock(product);
+}
+
+/**
+ * Work out what an import would do without writing anything
+ *
+ * Rows match existing products by SKU: a match is updated, anything else is
+ * created. Returns a row-level report plus the products to write; rows are
+ * numbered from rowNumbers when given, otherwise from 1. Uploaded images
+ * can only be kept on the product they belong to, going by its revisions.
+ */
+function planImport(records, existingProducts, { tree, rowNumbers = null, revisions = [] } = {}) {
+    const bySku = new Map(existingProducts.filter(p => p.sku).map(p => [p.sku, p]));
+    const seenSkus = new Map();
+    const rows = [];
+    const writes = [];
+
+    records.forEach((record, index) => {
+        const rowNumber = rowNumbers ? rowNumbers[index] : index + 1;
+
+        if (!isRecord(record)) {
+            rows.push({ row: rowNumber, sku: '', action: 'error', errors: [{ field: 'row', message: 'Each product must be an object' }] });
+            return;
+        }
+        const sku = isBlank(record.sku) ? '' : String(record.sku).trim();
+        const existing = bySku.get(sku);
+        const { fields, errors } = validateRecord(record, { creating: !existing });
+        if (errors.length === 0) applyCategory(fields, existing || {}, tree, errors);
+
+        if (fields.images) {
+            const ownIds = existing
+                ? productUploadIds(existing, revisions.filter(r => r.productId === existing.id))
+                : new Set();
+            foreignUploads(fields.images, ownIds).forEach(image => {
+                errors.push({ field: 'images', message: `image ${image.id} was not uploaded for this product` });
+            });
+        }
+
+        if (sku && seenSkus.has(sku)) {
+            errors.push({ field: 'sku', message: `Duplicate SKU, also on row ${seenSkus.get(sku)}` });
+        }
+        if (sku) seenSkus.set(sku, rowNumber);
+
+        let product = null;
+        if (errors.length === 0 && existing) {
+            product = applyVariants(
+                { ...existing, ...fields, updatedAt: getTimestamp() },
+                record,
+                existing.variants,
+                errors
+            );
+        } else if (errors.length === 0) {
+            product = applyVariants({
+                id: generateId(),
+                subcategory: '',
+                brand: '',
+                images: [],
+                stock: 0,
+                reorderThreshold: DEFAULT_REORDER_THRESHOLD,
+                status: 'active',
+                featured: false,
+                tags: [],
+                specifications: {},
+                options: [],
+                variants: [],
+                ...fields,
+                originalPrice: fields.originalPrice !== undefined ? fields.originalPrice : fields.price,
+                rating: 0,
+                reviews: 0,
+                createdAt: getTimestamp(),
+                updatedAt: getTimestamp()
+            }, record, [], errors);
+        }
+
+        if (product && fields.stock !== undefined && hasVariants(product) && fields.stock !== product.stock) {
+            errors.push({
+                field: 'stock',
+                message: `stock comes from the variants on products with options (${product.stock} in total); change the variants' stock instead`
+            });
+        }
+
+        const action = errors.length > 0 ? 'error' : (existing ? 'update' : 'create');
+        rows.push({ row: rowNumber, sku, action, errors });
+
+        if (action !== 'error') {
+            writes.push({ action, product });
+        }
+    });
+
+    return {
+        summary: {
+            total: rows.length,
+            create: rows.filter(r => r.action === 'create').length,
+            update: rows.filter(r => r.action === 'update').length,
+            errors: rows.filter(r => r.action === 'error').length
+        },
+        rows,
+        writes
+    };
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    toCsv,
+    fromCsv,
+    fromJson,
+    planImport
+};
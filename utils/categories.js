@@ -0,0 +1,186 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Category tree
+ *
+ * Categories are records in the categories collection:
+ *   { id, name, slug, parentId, position, description, createdAt, updatedAt }
+ * parentId is null for top-level categories; siblings are ordered by position.
+ * A product belongs to one category through categoryId. Its category and
+ * subcategory strings are kept as the name of the top-level category and,
+ * when the product sits lower in the tree, of its own category, for display
+ * and search.
+ */
+
+/**
+ * URL-safe identifier for a category name ("Smart Home" -> "smart-home")
+ */
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function bySiblingOrder(a, b) {
+    return a.position - b.position || a.name.localeCompare(b.name);
+}
+
+class CategoryTree {
+    constructor(categories) {
+        this.byId = new Map(categories.map(c => [c.id, c]));
+        this.children = new Map();
+
+        for (const category of categories) {
+            const parentId = category.parentId || null;
+            if (!this.children.has(parentId)) this.children.set(parentId, []);
+            this.children.get(parentId).push(category);
+        }
+        this.children.forEach(list => list.sort(bySiblingOrder));
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    childrenOf(parentId) {
+        return this.children.get(parentId || null) || [];
+    }
+
+    /**
+     * Find a category by id, slug or (case-insensitive) name
+     * Names are only unique among siblings, so pass parentId to look
+     * among one category's descendants.
+     */
+    resolve(value, parentId = null) {
+        if (!value) return null;
+        const text = String(value).trim();
+        if (this.byId.has(text)) return this.byId.get(text);
+
+        const candidates = parentId
+            ? [...this.descendantIds(parentId)].map(id => this.byId.get(id))
+            : [...this.byId.values()];
+        const slug = slugify(text);
+
+        return candidates.find(c => c.slug === slug) ||
+            candidates.find(c => c.name.toLowerCase() === text.toLowerCase()) ||
+            null;
+    }
+
+    /**
+     * Ids of a category and everything below it
+     */
+    descendantIds(id) {
+        const ids = new Set();
+        const visit = categoryId => {
+            ids.add(categoryId);
+            this.childrenOf(categoryId).forEach(child => visit(child.id));
+        };
+        if (this.byId.has(id)) visit(id);
+        return ids;
+    }
+
+    /**
+     * Categories from the top level down to the given one
+     */
+    path(id) {
+        const path = [];
+        let category = this.get(id);
+        while (category && path.length <= this.byId.size) {
+            path.unshift(category);
+            category = this.get(category.parentId);
+        }
+        return path;
+    }
+
+    /**
+     * Nested categories for navigation, each with its children in display order
+     * countFor(ids) can add a product count covering a category and its descendants.
+     */
+    toNested(countFor = null, parentId = null) {
+        return this.childrenOf(parentId).map(category => ({
+            ...category,
+            ...(countFor ? { productCount: countFor(this.descendantIds(category.id)) } : {}),
+            children: this.toNested(countFor, category.id)
+        }));
+    }
+}
+
+/**
+ * The denormalized category fields a product gets for a category
+ */
+function productCategoryFields(tree, categoryId) {
+    const path = tree.path(categoryId);
+    return {
+        categoryId,
+        category: path[0] ? path[0].name : '',
+        subcategory: path.length > 1 ? path[path.length - 1].name : ''
+    };
+}
+
+/**
+ * Category fields for a product from categoryId, or from category and
+ * subcategory given as names or slugs
+ */
+function resolveProductCategory(tree, { categoryId, category, subcategory }) {
+    let target = null;
+
+    if (categoryId) {
+        target = tree.get(categoryId);
+    } else if (category) {
+        const root = tree.resolve(category);
+        target = root && subcategory ? tree.resolve(subcategory, root.id) : root;
+    }
+
+    if (!target) {
+        const name = categoryId || [category, subcategory].filter(Boolean).join(' / ');
+        throw new HttpError(400, 'Unknown category', `Category "${name}" does not exist`);
+    }
+    return productCategoryFields(tree, target.id);
+}
+
+/**
+ * Complete a validated category body (see routes/categories.js) against the
+ * tree: the slug, made from the name when not given, must be free and the
+ * parent must exist. With existing, only the fields present are handled,
+ * and a parent inside the category's own subtree is rejected.
+ */
+function resolveCategoryInput(body, tree, existing = null) {
+    const input = { ...body };
+
+    // Slugs stay put when a category is renamed so links keep working
+    if (!existing || body.slug !== undefined) {
+        const slug = slugify(body.slug || body.name);
+        if (!slug) {
+            throw new HttpError(400, 'Invalid slug', 'Slug must contain letters or numbers');
+        }
+        const clash = [...tree.byId.values()].find(c => c.slug === slug && (!existing || c.id !== existing.id));
+        if (clash) {
+            throw new HttpError(409, 'Slug exists', `The slug "${slug}" is already used by ${clash.name}`);
+        }
+        input.slug = slug;
+    }
+
+    if (input.parentId && !tree.get(input.parentId)) {
+        throw new HttpError(400, 'Invalid parent', 'Parent category not found');
+    }
+    if (existing && input.parentId && tree.descendantIds(existing.id).has(input.parentId)) {
+        throw new HttpError(400, 'Invalid parent', 'A category cannot be moved inside itself');
+    }
+
+    if (!existing && input.position === undefined) {
+        input.position = tree.childrenOf(input.parentId).length;
+    }
+
+    return input;
+}
+
+module.exports = {
+    CategoryTree,
+    slugify,
+    productCategoryFields,
+    resolveProductCategory,
+    resolveCategoryInput
+};
@@ -0,0 +1,151 @@
+const { formatCurrency } = require('./helpers');
+const { HttpError } = require('./errors');
+
+/**
+ * Coupon codes
+ *
+ * Coupons are records in the coupons collection:
+ *   { id, code, description, type, value, minSubtotal, productIds,
+ *     categoryIds, perCustomerLimit, usageLimit, expiresAt, enabled,
+ *     redemptions, createdAt, updatedAt }
+ * type is 'percentage' (value is the percent off), 'fixed' (value is the
+ * amount off the order) or 'free-shipping'. With productIds or categoryIds
+ * the discount only covers those products, or products in those categories
+ * or below them. Limits and expiresAt are null when there is none.
+ *
+ * A coupon is checked when it is applied to a cart, every time the cart is
+ * shown, and again at checkout, where redemptions is counted in the same
+ * transaction as the order. Cancelling an order gives its redemption back.
+ */
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free-shipping'];
+
+/**
+ * Codes are matched without regard to case or surrounding spaces
+ */
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function findCoupon(coupons, code) {
+    const normalized = normalizeCode(code);
+    return normalized ? coupons.findOne({ code: normalized }) : null;
+}
+
+function invalid(message) {
+    return new HttpError(400, 'Invalid coupon', message);
+}
+
+/**
+ * Work out what a coupon takes off a cart
+ * lines are { product, price, quantity } with the price being charged;
+ * tree is the category tree. Pass userId and the orders repository to check
+ * the per-customer limit (guests are checked when they check out).
+ * Returns { discount, freeShipping } or throws when the coupon can't be used.
+ */
+function evaluateCoupon(coupon, { lines, tree, userId = null, orders = null, now = new Date() }) {
+    if (!coupon.enabled) {
+        throw invalid(`Coupon ${coupon.code} is not active`);
+    }
+    if (coupon.expiresAt && now >= new Date(coupon.expiresAt)) {
+        throw invalid(`Coupon ${coupon.code} has expired`);
+    }
+    if (coupon.usageLimit !== null && coupon.redemptions >= coupon.usageLimit) {
+        throw invalid(`Coupon ${coupon.code} has been fully redeemed`);
+    }
+
+    if (coupon.perCustomerLimit !== null && userId && orders) {
+        const used = orders.count(o =>
+            o.userId === userId && o.coupon && o.coupon.id === coupon.id && o.status !== 'cancelled');
+        if (used >= coupon.perCustomerLimit) {
+            throw invalid(`You have already used coupon ${coupon.code}`);
+        }
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    if (subtotal < coupon.minSubtotal) {
+        throw invalid(`Coupon ${coupon.code} needs a subtotal of at least ${formatCurrency(coupon.minSubtotal)}`);
+    }
+
+    if (coupon.type === 'free-shipping') {
+        return { discount: 0, freeShipping: true };
+    }
+
+    const categories = new Set(coupon.categoryIds.flatMap(id => [...tree.descendantIds(id)]));
+    const restricted = coupon.productIds.length > 0 || coupon.categoryIds.length > 0;
+    const eligible = restricted
+        ? lines.filter(({ product }) => coupon.productIds.includes(product.id) || categories.has(product.categoryId))
+        : lines;
+
+    if (eligible.length === 0) {
+        throw invalid(`Coupon ${coupon.code} does not apply to anything in your cart`);
+    }
+
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const discount = coupon.type === 'percentage'
+        ? eligibleSubtotal * coupon.value / 100
+        : Math.min(coupon.value, eligibleSubtotal);
+
+    return { discount: Math.round(discount * 100) / 100, freeShipping: false };
+}
+
+/**
+ * Count a redemption at checkout
+ */
+function redeemCoupon(coupons, coupon) {
+    return coupons.update(coupon.id, { redemptions: coupon.redemptions + 1 });
+}
+
+/**
+ * Give back the redemption of a cancelled order's coupon
+ */
+function releaseCoupon(coupons, order) {
+    const coupon = order.coupon ? coupons.findById(order.coupon.id) : null;
+    if (coupon) {
+        coupons.update(coupon.id, { redemptions: Math.max(0, coupon.redemptions - 1) });
+    }
+}
+
+/**
+ * Check a coupon's code, discount and targets
+ * input has passed the route schema; existing is the stored coupon when editing.
+ */
+function checkCoupon(input, { coupons, tree, products }, existing = null) {
+    const coupon = { ...existing, ...input };
+
+    if (input.code !== undefined) {
+        coupon.code = normalizeCode(input.code);
+        const clash = findCoupon(coupons, coupon.code);
+        if (clash && (!existing || clash.id !== existing.id)) {
+            throw new HttpError(409, 'Code exists', `The code ${coupon.code} is already in use`);
+        }
+    }
+
+    if (coupon.type === 'percentage' && (coupon.value <= 0 || coupon.value > 100)) {
+        throw new HttpError(400, 'Invalid discount', 'A percentage discount must be above 0 and at most 100');
+    }
+    if (coupon.type === 'fixed' && coupon.value <= 0) {
+        throw new HttpError(400, 'Invalid discount', 'A fixed discount must be above 0');
+    }
+
+    const unknownProduct = coupon.productIds.find(id => !products.findById(id));
+    if (unknownProduct) {
+        throw new HttpError(400, 'Unknown product', `Product ${unknownProduct} does not exist`);
+    }
+    const unknownCategory = coupon.categoryIds.find(id => !tree.get(id));
+    if (unknownCategory) {
+        throw new HttpError(400, 'Unknown category', `Category ${unknownCategory} does not exist`);
+    }
+
+    return coupon;
+}
+
+module.exports = {
+    COUPON_TYPES,
+    normalizeCode,
+    findCoupon,
+    evaluateCoupon,
+    redeemCoupon,
+    releaseCoupon,
+    checkCoupon
+};
@@ -0,0 +1,89 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing
+ *
+ * Spreadsheets run text starting with =, +, - or @ as a formula, so such
+ * fields are written with a leading apostrophe, which spreadsheets hide and
+ * parsing takes off again.
+ */
+
+// Text a spreadsheet would take for a formula, after any apostrophes already there
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+function unescapeFormula(field) {
+    return field.startsWith("'") && FORMULA_START.test(field) ? field.slice(1) : field;
+}
+
+/**
+ * Parse CSV text into an array of rows, { line, values } with line the
+ * line number the row starts on and values its fields as strings
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            rowLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+
+    // Drop blank lines, which still count for the line numbers
+    return rows
+        .filter(r => r.values.some(value => value.trim() !== ''))
+        .map(r => ({ line: r.line, values: r.values.map(unescapeFormula) }));
+}
+
+function escapeField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn an array of rows into CSV text
+ */
+function stringifyCsv(rows) {
+    return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    stringifyCsv
+};
@@ -0,0 +1,212 @@
+const config = require('../config');
+const { repository } = require('./storage');
+const { formatCurrency } = require('./helpers');
+
+/**
+ * Currencies
+ *
+ * Prices, orders and pricing rules are stored in the base currency
+ * (config.currency.base). Customers can pick another currency to see
+ * amounts in; the currencies collection holds the ones on offer:
+ *   { id, code, name, rate, decimals, roundingIncrement, roundingMode, enabled, updatedAt }
+ * with code as the record id and rate the units of the currency one unit
+ * of the base currency buys. A converted amount is rounded to a multiple of
+ * roundingIncrement (10^-decimals when null) in roundingMode: 'nearest',
+ * 'up' or 'down'. The base currency always has rate 1 and stays enabled.
+ *
+ * Converted amounts are for display: customers are charged the base amount.
+ * API responses add them next to the base amounts as a display object,
+ * e.g. product.display = { currency: 'EUR', price, basePrice, originalPrice }.
+ */
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+// Slack for amounts like 19.99 / 0.01 landing a hair below a whole number of steps
+const EPSILON = 1e-9;
+
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const currencyRepo = repository('currencies');
+
+/**
+ * Whether a code is an ISO 4217 currency Intl can format amounts in
+ */
+function isKnownCurrency(code) {
+    return KNOWN_CURRENCIES.has(code);
+}
+
+function currencyName(code) {
+    return new Intl.DisplayNames(['en'], { type: 'currency' }).of(code);
+}
+
+function currencySymbol(code) {
+    const parts = new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).formatToParts(0);
+    return parts.find(part => part.type === 'currency').value;
+}
+
+/**
+ * The base currency record, used as it is until an admin edits it
+ */
+function baseCurrency() {
+    const code = config.currency.base;
+    return {
+        id: code,
+        code,
+        name: currencyName(code),
+        rate: 1,
+        decimals: 2,
+        roundingIncrement: null,
+        roundingMode: 'nearest',
+        enabled: true
+    };
+}
+
+/**
+ * Round a converted amount by a currency's rules
+ */
+function roundAmount(amount, { decimals, roundingIncrement, roundingMode }) {
+    const increment = roundingIncrement || Math.pow(10, -decimals);
+    const steps = amount / increment;
+    let whole;
+
+    if (roundingMode === 'up') whole = Math.ceil(steps - EPSILON);
+    else if (roundingMode === 'down') whole = Math.floor(steps + EPSILON);
+    else whole = Math.round(steps);
+
+    return Number((whole * increment).toFixed(decimals));
+}
+
+/**
+ * Converts base currency amounts to one currency
+ */
+class Converter {
+    constructor(currency) {
+        this.currency = currency;
+    }
+
+    get code() {
+        return this.currency.code;
+    }
+
+    /**
+     * A base amount in this currency (null and undefined pass through)
+     */
+    convert(amount) {
+        if (amount === null || amount === undefined) return amount;
+        return roundAmount(amount * this.currency.rate, this.currency);
+    }
+
+    /**
+     * An amount in this currency back in the base currency, e.g. for price filters
+     */
+    toBase(amount) {
+        return amount / this.currency.rate;
+    }
+
+    /**
+     * A base amount converted and formatted for messages
+     */
+    format(amount) {
+        return formatCurrency(this.convert(amount), this.code, this.currency.decimals);
+    }
+
+    /**
+     * The named amount fields of an object converted, as a display object
+     */
+    amounts(source, fields) {
+        const display = { currency: this.code };
+        for (const field of fields) {
+            display[field] = this.convert(source[field]);
+        }
+        return display;
+    }
+
+    /**
+     * What the frontend needs to format amounts in this currency
+     */
+    describe() {
+        const { code, name, rate, decimals } = this.currency;
+        return { code, name, symbol: currencySymbol(code), rate, decimals };
+    }
+
+    /**
+     * The rate and rounding rules in force, for orders to keep
+     */
+    snapshot() {
+        const { code, rate, decimals, roundingIncrement, roundingMode } = this.currency;
+        return { code, rate, decimals, roundingIncrement, roundingMode };
+    }
+}
+
+/**
+ * All currencies, the base currency first
+ */
+function loadCurrencies(currencies = currencyRepo) {
+    const base = config.currency.base;
+    const records = currencies.findAll().filter(c => c.code !== base);
+    return [currencies.findById(base) || baseCurrency(), ...records.sort((a, b) => a.code.localeCompare(b.code))];
+}
+
+/**
+ * The currency the visitor chose to see amounts in, or the base currency
+ * A choice that has since been disabled or deleted falls back to the base.
+ */
+function displayCurrency(req, currencies = currencyRepo) {
+    const offered = loadCurrencies(currencies);
+    const chosen = req.session.currency && offered.find(c => c.code === req.session.currency && c.enabled);
+    return chosen || offered[0];
+}
+
+/**
+ * Converter for the visitor's display currency
+ * Pass a transaction to read currencies through it.
+ */
+function currentConverter(req, tx = null) {
+    const source = tx || { repository };
+    return new Converter(displayCurrency(req, source.repository('currencies')));
+}
+
+/**
+ * A priced product (or cart item product) with its amounts converted
+ * Variants get their own display price; null means the product's price.
+ */
+function displayProduct(product, converter) {
+    const displayed = {
+        ...product,
+        display: converter.amounts(product, ['price', 'basePrice', 'originalPrice'])
+    };
+
+    if (Array.isArray(product.variants)) {
+        displayed.variants = product.variants.map(v => ({
+            ...v,
+            display: converter.amounts(v, ['price', 'basePrice'])
+        }));
+    }
+    return displayed;
+}
+
+/**
+ * An order with its amounts converted at the rate it was placed at
+ */
+function displayOrder(order) {
+    const converter = new Converter(order.currency);
+    return {
+        ...order,
+        items: order.items.map(item => ({ ...item, display: converter.amounts(item, ['price', 'basePrice']) })),
+        display: converter.amounts(order, ['subtotal', 'savings', 'discount', 'shipping', 'tax', 'total', 'refundedTotal'])
+    };
+}
+
+module.exports = {
+    ROUNDING_MODES,
+    isKnownCurrency,
+    currencyName,
+    baseCurrency,
+    roundAmount,
+    Converter,
+    loadCurrencies,
+    displayCurrency,
+    currentConverter,
+    displayProduct,
+    displayOrder
+};
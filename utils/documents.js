@@ -0,0 +1,425 @@
+const config = require('../config');
+const { formatCurrency } = require('./helpers');
+const { PdfDocument, textWidth, wrapText } = require('./pdf');
+
+/**
+ * Invoices and packing slips
+ *
+ * Each order gets the next invoice number when it is placed, counted in the
+ * counters collection ({ id: 'invoice', value }) so numbers run without gaps
+ * or repeats, apart from orderNumber.
+ *
+ * A document is described once and rendered as print-ready HTML or a PDF:
+ *   { title, details: [[label, value]], parties: [{ heading, lines }],
+ *     columns: [{ label, width, align }], rows: [[text]],
+ *     totals: [{ label, value, bold }], notes: [text] }
+ * with column widths as fractions of the page. Seller details come from
+ * config.seller. Amounts are in the base currency the order was charged in.
+ */
+
+const INVOICE_COUNTER = 'invoice';
+
+const PAYMENT_LABELS = { card: 'Card', paypal: 'PayPal' };
+
+function formatInvoiceNumber(sequence) {
+    return `${config.invoices.prefix}${String(sequence).padStart(config.invoices.digits, '0')}`;
+}
+
+/**
+ * The next invoice number, counted in the caller's transaction so two
+ * orders can't get the same one
+ */
+function nextInvoiceNumber(tx) {
+    const counters = tx.repository('counters');
+    const counter = counters.findById(INVOICE_COUNTER);
+    const value = (counter ? counter.value : 0) + 1;
+
+    counters.upsert({ id: INVOICE_COUNTER, value });
+    return formatInvoiceNumber(value);
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function addressLines(address) {
+    return [
+        address.street,
+        `${address.city}, ${address.state} ${address.zipCode}`,
+        address.country
+    ].filter(Boolean);
+}
+
+function itemName(item) {
+    return item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+}
+
+function sellerLines() {
+    const { address, email, taxId } = config.seller;
+    return [...address, email, taxId ? `Tax ID: ${taxId}` : null].filter(Boolean);
+}
+
+function footerText() {
+    return [config.seller.name, config.seller.email].filter(Boolean).join(' · ');
+}
+
+/**
+ * The invoice for an order
+ */
+function invoiceDocument(order) {
+    const money = amount => formatCurrency(amount);
+
+    const totals = [{ label: 'Subtotal', value: money(order.subtotal) }];
+    if (order.discount > 0) {
+        totals.push({ label: order.coupon ? `Discount (${order.coupon.code})` : 'Discount', value: `-${money(order.discount)}` });
+    }
+    totals.push({ label: order.shippingMethod ? `Shipping (${order.shippingMethod.label})` : 'Shipping', value: money(order.shipping) });
+    totals.push({ label: order.taxRate ? `Tax (${order.taxRate.name}, ${order.taxRate.rate}%)` : 'Tax', value: money(order.tax) });
+    totals.push({ label: 'Total', value: money(order.total), bold: true });
+
+    if (order.refundedTotal > 0) {
+        totals.push({ label: 'Refunded', value: `-${money(order.refundedTotal)}` });
+        totals.push({ label: 'Net paid', value: money(order.total - order.refundedTotal), bold: true });
+    }
+
+    const notes = [];
+    if (order.status === 'cancelled') notes.push('This order was cancelled.');
+    if (order.currency && order.currency.code !== config.currency.base) {
+        notes.push(`Amounts are in ${config.currency.base}, the currency the order was charged in.`);
+    }
+    notes.push('Thank you for your order.');
+
+    return {
+        title: 'Invoice',
+        details: [
+            ['Invoice number', order.invoiceNumber],
+            ['Invoice date', formatDate(order.createdAt)],
+            ['Order number', order.orderNumber],
+            ['Payment', PAYMENT_LABELS[order.paymentMethod] || order.paymentMethod]
+        ],
+        parties: [
+            { heading: 'Bill to', lines: [order.customerName, order.customerEmail].filter(Boolean) },
+            { heading: 'Ship to', lines: [order.customerName, ...addressLines(order.shippingAddress)].filter(Boolean) }
+        ],
+        columns: [
+            { label: 'Item', width: 0.42 },
+            { label: 'SKU', width: 0.18 },
+            { label: 'Qty', width: 0.1, align: 'right' },
+            { label: 'Unit price', width: 0.15, align: 'right' },
+            { label: 'Amount', width: 0.15, align: 'right' }
+        ],
+        rows: order.items.map(item => [
+            itemName(item),
+            item.sku || '',
+            String(item.quantity),
+            money(item.price),
+            money(item.price * item.quantity)
+        ]),
+        totals,
+        notes
+    };
+}
+
+/**
+ * The packing slip for an order: what goes in the box, without prices
+ */
+function packingSlipDocument(order) {
+    return {
+        title: 'Packing Slip',
+        details: [
+            ['Order number', order.orderNumber],
+            ['Order date', formatDate(order.createdAt)],
+            ['Shipping', order.shippingMethod ? order.shippingMethod.label : 'Standard']
+        ],
+        parties: [
+            { heading: 'Ship to', lines: [order.customerName, ...addressLines(order.shippingAddress)].filter(Boolean) }
+        ],
+        columns: [
+            { label: 'Item', width: 0.6 },
+            { label: 'SKU', width: 0.25 },
+            { label: 'Qty', width: 0.15, align: 'right' }
+        ],
+        rows: order.items.map(item => [itemName(item), item.sku || '', String(item.quantity)]),
+        totals: [{ label: 'Items', value: String(order.items.reduce((sum, item) => sum + item.quantity, 0)), bold: true }],
+        notes: []
+    };
+}
+
+/* HTML */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; color: #111; margin: 0; background: #eee; }
+    .toolbar { text-align: center; padding: 1rem; }
+    .toolbar button { font-size: 1rem; padding: 0.5rem 1.5rem; cursor: pointer; }
+    .document { background: #fff; max-width: 210mm; margin: 0 auto 1rem; padding: 15mm; page-break-after: always; }
+    .document:last-child { page-break-after: auto; }
+    header { display: flex; justify-content: space-between; margin-bottom: 2rem; }
+    header h1 { font-size: 16pt; margin: 0 0 0.25rem; }
+    header h2 { font-size: 18pt; margin: 0 0 0.5rem; text-align: right; text-transform: uppercase; }
+    .seller div { color: #555; font-size: 9pt; }
+    .details th { color: #555; font-weight: normal; text-align: right; padding-right: 0.75rem; }
+    .details td { text-align: right; font-weight: bold; }
+    .parties { display: flex; gap: 2rem; margin-bottom: 2rem; }
+    .parties > div { flex: 1; }
+    .parties h3 { font-size: 8pt; color: #777; text-transform: uppercase; margin: 0 0 0.25rem; }
+    table { border-collapse: collapse; }
+    .items { width: 100%; margin-bottom: 1rem; }
+    .items th { background: #f2f2f2; text-align: left; padding: 0.4rem; font-size: 9pt; }
+    .items td { border-bottom: 1px solid #ddd; padding: 0.4rem; font-size: 9pt; vertical-align: top; }
+    .items .right { text-align: right; }
+    .totals { margin-left: auto; min-width: 45%; }
+    .totals th { text-align: right; font-weight: normal; padding: 0.2rem 1rem 0.2rem 0; }
+    .totals td { text-align: right; padding: 0.2rem 0; }
+    .totals .strong th, .totals .strong td { font-weight: bold; border-top: 1px solid #ccc; }
+    .note { color: #555; font-size: 9pt; margin: 1rem 0 0; }
+    footer { color: #777; font-size: 8pt; text-align: center; margin-top: 2rem; }
+    @media print {
+        body { background: none; }
+        .toolbar { display: none; }
+        .document { margin: 0; padding: 0; max-width: none; }
+    }
+`;
+
+function documentHtml(doc) {
+    const cell = (value, column) => `<td class="${column.align || 'left'}">${escapeHtml(value)}</td>`;
+
+    return `
+    <section class="document">
+        <header>
+            <div class="seller">
+                <h1>${escapeHtml(config.seller.name)}</h1>
+                ${sellerLines().map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+            </div>
+            <div>
+                <h2>${escapeHtml(doc.title)}</h2>
+                <table class="details">
+                    ${doc.details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+                </table>
+            </div>
+        </header>
+        <div class="parties">
+            ${doc.parties.map(party => `
+            <div>
+                <h3>${escapeHtml(party.heading)}</h3>
+                ${party.lines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+            </div>`).join('')}
+        </div>
+        <table class="items">
+            <thead>
+                <tr>${doc.columns.map(c => `<th class="${c.align || 'left'}" style="width: ${c.width * 100}%">${escapeHtml(c.label)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${doc.rows.map(row => `<tr>${row.map((value, i) => cell(value, doc.columns[i])).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+        <table class="totals">
+            ${doc.totals.map(t => `<tr class="${t.bold ? 'strong' : ''}"><th>${escapeHtml(t.label)}</th><td>${escapeHtml(t.value)}</td></tr>`).join('')}
+        </table>
+        ${doc.notes.map(note => `<p class="note">${escapeHtml(note)}</p>`).join('')}
+        <footer>${escapeHtml(footerText())}</footer>
+    </section>`;
+}
+
+/**
+ * Documents as one HTML page, each starting on a new printed page
+ */
+function renderHtml(documents, title) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${STYLES}</style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">Print</button></div>
+    ${documents.map(documentHtml).join('')}
+</body>
+</html>
+`;
+}
+
+/* PDF */
+
+const MARGIN = 50;
+const LINE = 13;
+const ROW_LINE = 12;
+
+/**
+ * Lays documents out on the pages of a PDF, top to bottom
+ */
+class PdfLayout {
+    constructor(pdf) {
+        this.pdf = pdf;
+        this.left = MARGIN;
+        this.right = pdf.width - MARGIN;
+        this.width = this.right - this.left;
+        this.bottom = pdf.height - MARGIN - 30;
+    }
+
+    newPage() {
+        this.pdf.addPage();
+        this.pdf.text(this.pdf.width / 2, this.pdf.height - MARGIN + 10, footerText(), { size: 8, gray: 0.45, align: 'center' });
+        this.y = MARGIN + 18;
+    }
+
+    // Start a new page when the next height of content doesn't fit
+    ensureSpace(height, onNewPage = null) {
+        if (this.y + height <= this.bottom) return;
+        this.newPage();
+        if (onNewPage) onNewPage();
+    }
+
+    header(doc) {
+        const { pdf } = this;
+        let left = this.y;
+        let right = this.y;
+
+        pdf.text(this.left, left, config.seller.name, { size: 16, bold: true });
+        left += 4;
+        for (const line of sellerLines()) {
+            left += LINE;
+            pdf.text(this.left, left, line, { size: 9, gray: 0.35 });
+        }
+
+        pdf.text(this.right, right, doc.title.toUpperCase(), { size: 18, bold: true, align: 'right' });
+        right += 4;
+        const valueWidth = Math.max(...doc.details.map(([, value]) => textWidth(value, 9, true)));
+        for (const [label, value] of doc.details) {
+            right += LINE;
+            pdf.text(this.right - valueWidth - 10, right, label, { size: 9, gray: 0.35, align: 'right' });
+            pdf.text(this.right, right, value, { size: 9, bold: true, align: 'right' });
+        }
+
+        this.y = Math.max(left, right) + 36;
+    }
+
+    parties(doc) {
+        const width = this.width / 2;
+        let bottom = this.y;
+
+        doc.parties.forEach((party, i) => {
+            const x = this.left + i * width;
+            let y = this.y;
+            this.pdf.text(x, y, party.heading.toUpperCase(), { size: 8, bold: true, gray: 0.45 });
+            y += 4;
+            for (const line of party.lines) {
+                y += LINE;
+                this.pdf.text(x, y, line, { size: 10 });
+            }
+            bottom = Math.max(bottom, y);
+        });
+
+        this.y = bottom + 36;
+    }
+
+    table(doc) {
+        let x = this.left;
+        const columns = doc.columns.map(column => {
+            const width = column.width * this.width;
+            const placed = { ...column, x, width };
+            x += width;
+            return placed;
+        });
+        const textX = column => (column.align === 'right' ? column.x + column.width - 4 : column.x + 4);
+
+        const headings = () => {
+            this.pdf.rect(this.left, this.y - 13, this.width, 19);
+            for (const column of columns) {
+                this.pdf.text(textX(column), this.y, column.label, { size: 9, bold: true, align: column.align });
+            }
+            this.y += 22;
+        };
+
+        this.ensureSpace(60);
+        headings();
+
+        for (const row of doc.rows) {
+            const cells = row.map((value, i) => wrapText(value, columns[i].width - 8, 9));
+            const lines = Math.max(...cells.map(cell => cell.length));
+
+            this.ensureSpace(lines * ROW_LINE, headings);
+            cells.forEach((cell, i) => cell.forEach((line, j) => {
+                this.pdf.text(textX(columns[i]), this.y + j * ROW_LINE, line, { size: 9, align: columns[i].align });
+            }));
+
+            const rule = this.y + (lines - 1) * ROW_LINE + 7;
+            this.pdf.line(this.left, rule, this.right, rule);
+            this.y = rule + 15;
+        }
+    }
+
+    totals(doc) {
+        const labelX = this.right - 110;
+        this.y += 6;
+
+        for (const total of doc.totals) {
+            this.ensureSpace(LINE + 6);
+            if (total.bold) {
+                this.pdf.line(labelX - 120, this.y - 11, this.right, this.y - 11);
+                this.y += 3;
+            }
+            this.pdf.text(labelX, this.y, total.label, { size: 10, bold: total.bold, align: 'right' });
+            this.pdf.text(this.right, this.y, total.value, { size: 10, bold: total.bold, align: 'right' });
+            this.y += LINE + 3;
+        }
+    }
+
+    notes(doc) {
+        this.y += 12;
+        for (const note of doc.notes) {
+            for (const line of wrapText(note, this.width, 9)) {
+                this.ensureSpace(LINE);
+                this.pdf.text(this.left, this.y, line, { size: 9, gray: 0.35 });
+                this.y += LINE;
+            }
+        }
+    }
+
+    document(doc) {
+        this.newPage();
+        this.header(doc);
+        this.parties(doc);
+        this.table(doc);
+        this.totals(doc);
+        this.notes(doc);
+    }
+}
+
+/**
+ * Documents as one PDF, each starting on a new page
+ */
+function renderPdf(documents, title) {
+    const pdf = new PdfDocument({ title });
+    const layout = new PdfLayout(pdf);
+
+    for (const doc of documents) {
+        layout.document(doc);
+    }
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    formatInvoiceNumber,
+    nextInvoiceNumber,
+    invoiceDocument,
+    packingSlipDocument,
+    renderHtml,
+    renderPdf
+};
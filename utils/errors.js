@@ -0,0 +1,42 @@
+/**
+ * Error carrying an HTTP status and the { error, message } body the API returns
+ * Throwing one inside a transaction aborts it without writing anything.
+ */
+class HttpError extends Error {
+    constructor(status, error, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.error = error;
+    }
+
+    toJSON() {
+        return {
+            error: this.error,
+            message: this.message
+        };
+    }
+}
+
+/**
+ * Request that failed schema validation, with one { field, message } per problem
+ */
+class ValidationError extends HttpError {
+    constructor(errors) {
+        super(400, 'Validation failed', errors.map(e => e.message).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            errors: this.errors
+        };
+    }
+}
+
+module.exports = {
+    HttpError,
+    ValidationError
+};
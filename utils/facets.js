@@ -0,0 +1,165 @@
+const { formatCurrency } = require('./helpers');
+
+/**
+ * Product listing filters and facet counts
+ *
+ * Each filter belongs to a facet (or none). Facet counts are computed over the
+ * products passing every filter except the facet's own, so shoppers can
+ * select several values within one facet and still see the alternatives.
+ *
+ * Category and subcategory values are category slugs (names and ids work
+ * too) and match every product in the category or below it. The category
+ * facet lists top-level categories; the subcategory facet lists the children
+ * of the selected ones.
+ */
+
+// Bounds are in the base currency; labels are made for the visitor's currency
+const PRICE_BUCKETS = [
+    { value: '0-25', min: 0, max: 25 },
+    { value: '25-50', min: 25, max: 50 },
+    { value: '50-100', min: 50, max: 100 },
+    { value: '100-200', min: 100, max: 200 },
+    { value: '200-', min: 200, max: Infinity }
+];
+
+const RATING_BANDS = [
+    { value: '4', label: '4★ & up', min: 4 },
+    { value: '3', label: '3★ & up', min: 3 },
+    { value: '2', label: '2★ & up', min: 2 },
+    { value: '1', label: '1★ & up', min: 1 }
+];
+
+/**
+ * Label for a price bucket, e.g. "$25.00 to $50.00"
+ * formatPrice formats a base currency amount.
+ */
+function priceBucketLabel({ min, max }, formatPrice) {
+    if (min === 0) return `Under ${formatPrice(max)}`;
+    if (max === Infinity) return `${formatPrice(min)} & above`;
+    return `${formatPrice(min)} to ${formatPrice(max)}`;
+}
+
+function inPriceBucket(price, bucketValue) {
+    const bucket = PRICE_BUCKETS.find(b => b.value === bucketValue);
+    return Boolean(bucket) && price >= bucket.min && price < bucket.max;
+}
+
+/**
+ * Categories selected in a query parameter
+ */
+function selectedCategories(tree, values = []) {
+    return values.map(v => tree.resolve(v)).filter(Boolean);
+}
+
+/**
+ * Build the facet filters requested in a product listing query
+ * The query is validated first, so multi-value fields are lists (see the
+ * 'list' type in utils/schema.js).
+ */
+function buildFacetFilters(query, tree) {
+    const filters = [];
+
+    for (const field of ['category', 'subcategory']) {
+        if (query[field] && query[field].length > 0) {
+            const ids = new Set(selectedCategories(tree, query[field]).flatMap(c => [...tree.descendantIds(c.id)]));
+            filters.push({ facet: field, test: p => ids.has(p.categoryId) });
+        }
+    }
+
+    const brands = (query.brand || []).map(v => v.toLowerCase());
+    if (brands.length > 0) {
+        filters.push({
+            facet: 'brand',
+            test: p => brands.includes(String(p.brand || '').toLowerCase())
+        });
+    }
+
+    const priceRanges = query.priceRange || [];
+    if (priceRanges.length > 0) {
+        filters.push({
+            facet: 'price',
+            test: p => priceRanges.some(range => inPriceBucket(p.price, range))
+        });
+    }
+
+    if (query.minRating) {
+        const minRating = parseFloat(query.minRating);
+        filters.push({ facet: 'rating', test: p => p.rating >= minRating });
+    }
+
+    if (query.inStock) {
+        filters.push({ facet: 'inStock', test: p => p.stock > 0 });
+    }
+
+    return filters;
+}
+
+/**
+ * Count values of one field, most common first
+ */
+function countValues(products, field) {
+    const counts = new Map();
+    products.forEach(p => {
+        if (p[field]) counts.set(p[field], (counts.get(p[field]) || 0) + 1);
+    });
+    return [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Count products in each of the given categories, including their descendants
+ */
+function countCategories(products, tree, categories) {
+    return categories
+        .map(category => {
+            const ids = tree.descendantIds(category.id);
+            return {
+                value: category.slug,
+                label: category.name,
+                count: products.filter(p => ids.has(p.categoryId)).length
+            };
+        })
+        .filter(c => c.count > 0);
+}
+
+/**
+ * Facet counts for a product list
+ * Options with no matching products are left out. formatPrice formats the
+ * price bucket bounds for the labels.
+ */
+function computeFacets(products, filters, tree, query = {}, formatPrice = formatCurrency) {
+    const without = facet => products.filter(p =>
+        filters.every(f => f.facet === facet || f.test(p))
+    );
+    const subcategories = selectedCategories(tree, query.category).flatMap(c => tree.childrenOf(c.id));
+
+    const priceBase = without('price');
+    const ratingBase = without('rating');
+    const stockBase = without('inStock');
+
+    return {
+        category: countCategories(without('category'), tree, tree.childrenOf(null)),
+        subcategory: countCategories(without('subcategory'), tree, subcategories),
+        brand: countValues(without('brand'), 'brand'),
+        price: PRICE_BUCKETS
+            .map(bucket => ({
+                value: bucket.value,
+                label: priceBucketLabel(bucket, formatPrice),
+                count: priceBase.filter(p => inPriceBucket(p.price, bucket.value)).length
+            }))
+            .filter(b => b.count > 0),
+        rating: RATING_BANDS
+            .map(({ value, label, min }) => ({ value, label, count: ratingBase.filter(p => p.rating >= min).length }))
+            .filter(b => b.count > 0),
+        inStock: [{ value: 'true', label: 'In stock', count: stockBase.filter(p => p.stock > 0).length }]
+            .filter(b => b.count > 0)
+    };
+}
+
+module.exports = {
+    PRICE_BUCKETS,
+    RATING_BANDS,
+    buildFacetFilters,
+    computeFacets
+};
@@ -1,20 +1,20 @@
-const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const { getAdapter } = require('./storage');
 
-// Data directory path
-const DATA_DIR = path.join(__dirname, '..', 'data');
+/**
+ * Map a legacy data filename (e.g. "products.json") to its collection name
+ */
+function collectionName(filename) {
+    return path.basename(filename, '.json');
+}
 
 /**
- * Read JSON data from file
+ * Read all records of a collection from the configured storage
  */
 function readData(filename) {
-    const filepath = path.join(DATA_DIR, filename);
     try {
-        if (!fs.existsSync(filepath)) {
-            return [];
-        }
-        const data = fs.readFileSync(filepath, 'utf8');
-        return JSON.parse(data);
+        return getAdapter().findAll(collectionName(filename));
     } catch (error) {
         console.error(`Error reading ${filename}:`, error);
         return [];
@@ -22,16 +22,11 @@ function readData(filename) {
 }
 
 /**
- * Write JSON data to file
+ * Replace all records of a collection in the configured storage
  */
 function writeData(filename, data) {
-    const filepath = path.join(DATA_DIR, filename);
     try {
-        // Ensure data directory exists
-        if (!fs.existsSync(DATA_DIR)) {
-            fs.mkdirSync(DATA_DIR, { recursive: true });
-        }
-        fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+        getAdapter().replaceAll(collectionName(filename), data);
         return true;
     } catch (error) {
         console.error(`Error writing ${filename}:`, error);
@@ -48,11 +43,15 @@ function generateId() {
 
 /**
  * Format currency
+ * Amounts are in the base currency unless another currency code is given;
+ * decimals overrides the currency's usual number of decimal places.
  */
-function formatCurrency(amount) {
+function formatCurrency(amount, currency = config.currency.base, decimals = undefined) {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'RS'
+        currency,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
     }).format(amount);
 }
 
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { repository, transaction } = require('./storage');
+
+/**
+ * Idempotency keys
+ *
+ * The first response to a mutating request sent with an Idempotency-Key
+ * header is kept in the idempotencyKeys collection:
+ *   { id, scope, method, path, fingerprint, status, headers, body, createdAt, expiresAt }
+ * and replayed for repeats of the key until expiresAt
+ * (config.idempotency.ttlHours). Keys belong to the signed-in user, or to
+ * the session for guests (kept from their first keyed request, see
+ * middleware/idempotency.js), so two customers can't collide; id is a hash of
+ * the scope and key. fingerprint is a hash of the method, path and body,
+ * so a key reused for a different request can be told apart. body is the
+ * response as sent, base64 encoded, and headers the ones needed to replay
+ * it, e.g. its content-type.
+ */
+
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function keyScope(req) {
+    return req.session && req.session.user ? `user:${req.session.user.id}` : `session:${req.sessionID}`;
+}
+
+/**
+ * Identify a request sent with an Idempotency-Key, before anything
+ * (e.g. validation) changes its body
+ */
+function describeRequest(req, key) {
+    const scope = keyScope(req);
+
+    return {
+        id: hash(`${scope}\n${key}`),
+        scope,
+        method: req.method,
+        path: req.originalUrl,
+        fingerprint: hash(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || null }))
+    };
+}
+
+function isExpired(record, now = new Date()) {
+    return new Date(record.expiresAt) <= now;
+}
+
+/**
+ * The stored response for a key, unless it has expired
+ */
+function findResponse(id, keys = repository('idempotencyKeys')) {
+    const record = keys.findById(id);
+    return record && !isExpired(record) ? record : null;
+}
+
+/**
+ * Keep a response to replay for repeats of its request's key
+ */
+function saveResponse(request, { status, headers, body }, keys = repository('idempotencyKeys')) {
+    const now = new Date();
+
+    return keys.upsert({
+        ...request,
+        status,
+        headers,
+        body: body.toString('base64'),
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + config.idempotency.ttlHours * 60 * 60 * 1000).toISOString()
+    });
+}
+
+/**
+ * Delete responses past their retention
+ */
+function sweepIdempotencyKeys(now = new Date()) {
+    return transaction(tx => {
+        const keys = tx.repository('idempotencyKeys');
+        const expired = keys.findAll().filter(record => isExpired(record, now));
+        expired.forEach(record => keys.delete(record.id));
+        return expired.length;
+    });
+}
+
+/**
+ * Sweep expired responses every config.idempotency.sweepInterval milliseconds
+ */
+function startIdempotencySweeper() {
+    const timer = setInterval(() => {
+        sweepIdempotencyKeys().catch(error => console.error('Idempotency key sweep error:', error));
+    }, config.idempotency.sweepInterval);
+
+    // Don't keep the process alive just to sweep
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    describeRequest,
+    findResponse,
+    saveResponse,
+    sweepIdempotencyKeys,
+    startIdempotencySweeper
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config');
+const { generateId } = require('./helpers');
+const { HttpError } = require('./errors');
+
+/**
+ * Product image storage
+ *
+ * Uploaded images are decoded, re-encoded as WebP in several sizes and
+ * written to <uploads dir>/products/<image id>/<size>.webp. A product's
+ * images array holds either an external URL string or, for uploads, a
+ * reference of the form { id, thumbnail, card, zoom } with one URL per size.
+ * Files of an upload removed from a product are kept, since rolling back to
+ * an earlier revision can bring it back, until the product is deleted for good.
+ */
+
+const IMAGE_SIZES = {
+    thumbnail: { width: 160, height: 160, fit: 'cover' },
+    card: { width: 600, height: 600, fit: 'inside' },
+    zoom: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+const ALLOWED_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+const PUBLIC_PATH = '/uploads/products';
+const UPLOAD_URL_PATTERN = new RegExp(`^${PUBLIC_PATH}/([a-z0-9]+)/(?:${Object.keys(IMAGE_SIZES).join('|')})\\.webp$`);
+
+function imageDir(imageId) {
+    return path.join(config.uploads.dir, 'products', imageId);
+}
+
+/**
+ * The stored reference for an uploaded image
+ */
+function imageRecord(imageId) {
+    const record = { id: imageId };
+    for (const size of Object.keys(IMAGE_SIZES)) {
+        record[size] = `${PUBLIC_PATH}/${imageId}/${size}.webp`;
+    }
+    return record;
+}
+
+/**
+ * URL of an image entry at a given size
+ * External URLs only exist in one size and are returned as they are.
+ */
+function imageUrl(image, size = 'card') {
+    if (!image) return '';
+    if (typeof image === 'string') return image;
+    return image[size] || image.zoom || '';
+}
+
+/**
+ * Turn an image entry from an import or admin edit back into a stored entry
+ * URLs of our own uploads become references again; anything else stays a URL.
+ */
+function normalizeImage(image) {
+    if (image && typeof image === 'object') {
+        return /^[a-z0-9]+$/.test(image.id) ? imageRecord(image.id) : null;
+    }
+    const url = String(image || '').trim();
+    if (!url) return null;
+
+    const match = url.match(UPLOAD_URL_PATTERN);
+    return match ? imageRecord(match[1]) : url;
+}
+
+/**
+ * Uploaded images in a list whose id is not in ownIds
+ * A product may only refer to its own uploads, so an edit can't take over
+ * (and later delete) the files of another product.
+ */
+function foreignUploads(images, ownIds) {
+    return images.filter(image => typeof image === 'object' && !ownIds.has(image.id));
+}
+
+/**
+ * Validate an uploaded file and write its resized copies
+ * Rejects files whose content is not one of the allowed image formats,
+ * whatever their declared type.
+ */
+async function saveImage(file) {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+        throw new HttpError(400, 'Invalid file type', `${file.originalname} is not a JPEG, PNG, WebP or GIF image`);
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        metadata = {};
+    }
+    if (!Object.values(ALLOWED_TYPES).includes(metadata.format)) {
+        throw new HttpError(400, 'Invalid image', `${file.originalname} could not be read as an image`);
+    }
+
+    const imageId = generateId();
+    const dir = imageDir(imageId);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+        for (const [size, { width, height, fit }] of Object.entries(IMAGE_SIZES)) {
+            await sharp(file.buffer)
+                .rotate() // Apply EXIF orientation before it is stripped
+                .resize({ width, height, fit, withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toFile(path.join(dir, `${size}.webp`));
+        }
+    } catch (error) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return imageRecord(imageId);
+}
+
+/**
+ * Delete the files of an uploaded image (external URLs are left alone)
+ */
+async function removeImage(image) {
+    if (!image || typeof image !== 'object' || !/^[a-z0-9]+$/.test(image.id)) return;
+
+    await fs.promises.rm(imageDir(image.id), { recursive: true, force: true });
+}
+
+module.exports = {
+    IMAGE_SIZES,
+    ALLOWED_TYPES,
+    imageUrl,
+    normalizeImage,
+    foreignUploads,
+    saveImage,
+    removeImage
+};
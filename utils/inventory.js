@@ -0,0 +1,149 @@
+const { generateId, getTimestamp } = require('./helpers');
+const { HttpError } = require('./errors');
+const { hasVariants, findVariant, syncStock } = require('./variants');
+
+/**
+ * Inventory ledger
+ *
+ * Every change to a product's (or variant's) stock is recorded as a movement
+ * in the stockMovements collection:
+ *   { id, productId, variantId, sku, type, quantity, stockAfter, reason,
+ *     userId, orderId, createdAt }
+ * quantity is signed: negative when stock leaves, positive when it arrives.
+ * The helpers take repositories from the caller's transaction so a stock
+ * change and its movement are always written together.
+ */
+
+const MOVEMENT_TYPES = ['opening', 'sale', 'cancellation', 'return', 'adjustment', 'receipt'];
+
+const DEFAULT_REORDER_THRESHOLD = 5;
+
+function reorderThreshold(product) {
+    return product.reorderThreshold !== undefined ? product.reorderThreshold : DEFAULT_REORDER_THRESHOLD;
+}
+
+/**
+ * Whether a product's total stock is below its reorder threshold
+ */
+function isLowStock(product) {
+    return product.stock < reorderThreshold(product);
+}
+
+function movementRecord(product, variant, quantity, stockAfter, { type, reason = '', userId = null, orderId = null }) {
+    return {
+        id: generateId(),
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        sku: variant ? variant.sku : product.sku || '',
+        type,
+        quantity,
+        stockAfter,
+        reason,
+        userId,
+        orderId,
+        createdAt: getTimestamp()
+    };
+}
+
+/**
+ * Change the stock of a product or one of its variants by quantity and
+ * record the movement. Returns { product, movement }.
+ */
+function moveStock(products, movements, { productId, variantId = null, quantity, ...details }) {
+    const product = products.findById(productId);
+
+    if (!product) {
+        throw new HttpError(404, 'Not found', 'Product not found');
+    }
+
+    const variant = variantId ? findVariant(product, variantId) : null;
+
+    if (variantId && !variant) {
+        throw new HttpError(404, 'Not found', `The selected option of ${product.name} no longer exists`);
+    }
+
+    if (!variant && hasVariants(product)) {
+        throw new HttpError(400, 'Variant required', `Choose which option of ${product.name} the stock belongs to`);
+    }
+
+    const unit = variant || product;
+
+    if (unit.stock + quantity < 0) {
+        throw new HttpError(400, 'Insufficient stock', `Not enough stock for ${product.name}`);
+    }
+
+    unit.stock += quantity;
+    syncStock(product);
+    product.updatedAt = getTimestamp();
+    products.replace(product.id, product);
+
+    const movement = movements.insert(movementRecord(product, variant, quantity, unit.stock, details));
+    return { product, movement };
+}
+
+/**
+ * Put the items of an order back into stock
+ * Items that no longer map to stock are skipped: their product or variant
+ * has since been removed, or the product has gained variants and the item
+ * doesn't say which one it was.
+ */
+function restockItems(products, movements, items, details) {
+    for (const item of items) {
+        const product = products.findById(item.productId);
+        if (!product) continue;
+        if (item.variantId ? !findVariant(product, item.variantId) : hasVariants(product)) continue;
+
+        moveStock(products, movements, {
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity,
+            ...details
+        });
+    }
+}
+
+/**
+ * Stock per variant id, or under null for a product without variants
+ */
+function stockLevels(product) {
+    const levels = new Map();
+    if (!product) return levels;
+
+    if (hasVariants(product)) {
+        product.variants.forEach(v => levels.set(v.id, v.stock));
+    } else {
+        levels.set(null, product.stock);
+    }
+    return levels;
+}
+
+/**
+ * Record movements for the stock differences between two versions of a
+ * product that has been written directly (created, edited or imported).
+ * Pass null as before for a new product.
+ */
+function recordStockChanges(movements, before, after, details) {
+    const previous = stockLevels(before);
+    const current = stockLevels(after);
+
+    for (const variantId of new Set([...previous.keys(), ...current.keys()])) {
+        const quantity = (current.get(variantId) || 0) - (previous.get(variantId) || 0);
+        if (quantity === 0) continue;
+
+        const variant = variantId
+            ? findVariant(after, variantId) || findVariant(before, variantId)
+            : null;
+
+        movements.insert(movementRecord(after, variant, quantity, current.get(variantId) || 0, details));
+    }
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    DEFAULT_REORDER_THRESHOLD,
+    reorderThreshold,
+    isLowStock,
+    moveStock,
+    restockItems,
+    recordStockChanges
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { repository, transaction } = require('./storage');
+const { getTimestamp } = require('./helpers');
+
+// Directory of numbered migration scripts, e.g. migrations/001-normalize-products.js
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Collection holding one { id: <collection>, version } marker per migrated collection
+const SCHEMA_COLLECTION = 'schema';
+
+/**
+ * Load every migration script, ordered by its number
+ *
+ * A migration exports { collection, description, up(records, tx) } and upgrades
+ * that collection to the version given by its filename prefix. up() returns the
+ * new records; tx gives access to other collections when a record shape is split
+ * or moved. Migrations carry their own copy of any application logic they need,
+ * so replaying them gives the same result however that logic changes later.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+-.+\.js$/.test(file))
+        .map(file => ({
+            ...require(path.join(dir, file)),
+            version: parseInt(file, 10),
+            name: file.replace(/\.js$/, '')
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Highest schema version this code knows for each collection
+ */
+function latestVersions(migrations) {
+    return migrations.reduce((versions, m) => {
+        versions[m.collection] = Math.max(versions[m.collection] || 0, m.version);
+        return versions;
+    }, {});
+}
+
+/**
+ * Current schema version of each collection in the store
+ */
+function currentVersions(schemaRepo = repository(SCHEMA_COLLECTION)) {
+    return schemaRepo.findAll().reduce((versions, entry) => {
+        versions[entry.id] = entry.version;
+        return versions;
+    }, {});
+}
+
+/**
+ * Throw if the store holds data written by newer code than this
+ */
+function assertCompatible(current, latest) {
+    for (const [collection, version] of Object.entries(current)) {
+        const known = latest[collection] || 0;
+        if (version > known) {
+            throw new Error(
+                `Collection "${collection}" is at schema version ${version}, ` +
+                `but this code only understands up to version ${known}. Upgrade the application.`
+            );
+        }
+    }
+}
+
+/**
+ * Report current and latest schema versions per collection
+ */
+function getStatus() {
+    const migrations = loadMigrations();
+    const current = currentVersions();
+    const latest = latestVersions(migrations);
+
+    return Object.keys({ ...latest, ...current }).sort().map(collection => ({
+        collection,
+        current: current[collection] || 0,
+        latest: latest[collection] || 0,
+        pending: migrations
+            .filter(m => m.collection === collection && m.version > (current[collection] || 0))
+            .map(m => m.name)
+    }));
+}
+
+/**
+ * Apply every pending migration in one transaction
+ * Returns the names of the migrations that ran.
+ */
+function migrate({ log = console.log } = {}) {
+    const migrations = loadMigrations();
+
+    return transaction(tx => {
+        const schemaRepo = tx.repository(SCHEMA_COLLECTION);
+        const current = currentVersions(schemaRepo);
+        assertCompatible(current, latestVersions(migrations));
+
+        const pending = migrations.filter(m => m.version > (current[m.collection] || 0));
+
+        for (const migration of pending) {
+            log(`Migrating ${migration.collection}: ${migration.name} - ${migration.description}`);
+
+            const repo = tx.repository(migration.collection);
+            repo.replaceAll(migration.up(repo.findAll(), tx));
+            schemaRepo.upsert({
+                id: migration.collection,
+                version: migration.version,
+                migratedAt: getTimestamp()
+            });
+        }
+
+        return pending.map(m => m.name);
+    });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    SCHEMA_COLLECTION,
+    loadMigrations,
+    getStatus,
+    migrate
+};
@@ -0,0 +1,134 @@
+const { getTimestamp } = require('./helpers');
+const { HttpError } = require('./errors');
+const { restockItems } = require('./inventory');
+const { releaseCoupon } = require('./coupons');
+const { refundableAmount, refundOrder } = require('./returns');
+
+/**
+ * Order lifecycle
+ *
+ * An order moves forward through ORDER_STATUSES along TRANSITIONS and can be
+ * cancelled until it ships. Delivered and cancelled orders are final.
+ * Entering a status can have rules in STATUS_RULES:
+ *   guard(order, input)          throws when the order can't move yet
+ *   apply(order, input, context) returns the changes that go with the move,
+ *                                writing anything else through context.tx
+ *   after(order, context)        returns the moved order with what follows
+ *                                from the move, e.g. a refund
+ * input is { status, note, tracking }; context is
+ * { tx, userId, now }.
+ *
+ * Customers can cancel their own orders themselves while they are in
+ * CUSTOMER_CANCELLABLE.
+ */
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const TRANSITIONS = {
+    pending: ['confirmed', 'processing', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+const CUSTOMER_CANCELLABLE = ['pending', 'confirmed'];
+
+const STATUS_RULES = {
+    shipped: {
+        guard(order, { tracking }) {
+            if (!tracking) {
+                throw new HttpError(400, 'Tracking required', 'Add the carrier and tracking number to ship an order');
+            }
+        },
+        apply(order, { tracking }, { now }) {
+            return { tracking: { ...tracking, url: tracking.url || null }, shippedAt: now };
+        }
+    },
+
+    delivered: {
+        apply(order, input, { now }) {
+            return { deliveredAt: now };
+        }
+    },
+
+    // Cancelled items go back on the shelf, the coupon can be used again and
+    // whatever hasn't been refunded yet is
+    cancelled: {
+        apply(order, input, { tx, userId, now }) {
+            restockItems(tx.repository('products'), tx.repository('stockMovements'), order.items, {
+                type: 'cancellation',
+                reason: `Order ${order.orderNumber} cancelled`,
+                userId,
+                orderId: order.id
+            });
+            releaseCoupon(tx.repository('coupons'), order);
+            return { cancelledAt: now };
+        },
+        after(order, { userId }) {
+            if (refundableAmount(order) <= 0) return order;
+            return refundOrder(order, { reason: `Order ${order.orderNumber} cancelled` }, { userId });
+        }
+    }
+};
+
+/**
+ * Statuses an order in status can be moved to
+ */
+function nextStatuses(status) {
+    return TRANSITIONS[status] || [];
+}
+
+/**
+ * Whether the customer can still cancel the order themselves
+ */
+function customerCancellable(order) {
+    return CUSTOMER_CANCELLABLE.includes(order.status);
+}
+
+function defaultNote(status, { tracking }) {
+    if (status === 'shipped') return `Shipped with ${tracking.carrier}, tracking number ${tracking.number}`;
+    return `Status updated to ${status}`;
+}
+
+/**
+ * Move an order to input.status, checking the move is allowed and running
+ * the status's rules in the caller's transaction
+ * Returns the updated order for the caller to store.
+ */
+function transitionOrder(order, input, { tx, userId }) {
+    const { status, note } = input;
+    const allowed = nextStatuses(order.status);
+
+    if (!allowed.includes(status)) {
+        throw new HttpError(409, 'Invalid transition', allowed.length > 0
+            ? `A ${order.status} order can't be moved to ${status}, only to ${allowed.join(', ')}`
+            : `A ${order.status} order can't change status any more`);
+    }
+
+    const rule = STATUS_RULES[status] || {};
+    if (rule.guard) rule.guard(order, input);
+
+    const now = getTimestamp();
+    const changes = rule.apply ? rule.apply(order, input, { tx, userId, now }) : {};
+
+    const moved = {
+        ...order,
+        ...changes,
+        status,
+        statusHistory: [
+            ...order.statusHistory,
+            { status, timestamp: now, note: note || defaultNote(status, input) }
+        ],
+        updatedAt: now
+    };
+    return rule.after ? rule.after(moved, { tx, userId, now }) : moved;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    nextStatuses,
+    customerCancellable,
+    transitionOrder
+};
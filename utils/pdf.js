@@ -0,0 +1,222 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF writing for generated documents
+ *
+ * Pages hold text in the standard Helvetica fonts, lines and filled
+ * rectangles, placed in points from the top left corner of the page. The
+ * standard fonts need no embedding, so text is limited to the Windows-1252
+ * character set; anything outside it prints as '?'.
+ */
+
+// A4 in points
+const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+// Glyph widths of ' ' to '~' in thousandths of the font size, from the Adobe font metrics
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width used for characters outside ' ' to '~', close to most accented letters
+const DEFAULT_WIDTH = 556;
+
+// Windows-1252 codes of the characters it places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * Text as a PDF string literal in Windows-1252
+ */
+function pdfString(text) {
+    let bytes = '';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI_EXTRAS[char]) bytes += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        else if (code >= 0x20 && code <= 0xFF && (code < 0x7F || code >= 0xA0)) bytes += char;
+        else bytes += '?';
+    }
+    return `(${bytes.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function number(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Width of text in points
+ */
+function textWidth(text, size, bold = false) {
+    const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+    let total = 0;
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return total * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than width, splitting words only when
+ * a single word doesn't fit
+ */
+function wrapText(text, width, size, bold = false) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate, size, bold) <= width) {
+            line = candidate;
+            continue;
+        }
+        if (line) lines.push(line);
+
+        line = '';
+        for (const char of word) {
+            if (line && textWidth(line + char, size, bold) > width) {
+                lines.push(line);
+                line = '';
+            }
+            line += char;
+        }
+    }
+    if (line || lines.length === 0) lines.push(line);
+    return lines;
+}
+
+/**
+ * A PDF built up page by page
+ */
+class PdfDocument {
+    constructor({ title = '', size = PAGE_SIZE } = {}) {
+        this.title = title;
+        this.size = size;
+        this.pages = [];
+    }
+
+    get width() {
+        return this.size.width;
+    }
+
+    get height() {
+        return this.size.height;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        return this;
+    }
+
+    draw(operation) {
+        if (this.pages.length === 0) this.addPage();
+        this.pages[this.pages.length - 1].push(operation);
+    }
+
+    /**
+     * Write text with its baseline at y
+     * align 'right' and 'center' place the text's end or middle at x.
+     */
+    text(x, y, text, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+        const width = textWidth(text, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+        this.draw(`BT ${number(gray)} g /${bold ? 'F2' : 'F1'} ${number(size)} Tf ` +
+            `${number(left)} ${number(this.height - y)} Td ${pdfString(text)} Tj ET`);
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0.8 } = {}) {
+        this.draw(`${number(gray)} G ${number(width)} w ` +
+            `${number(x1)} ${number(this.height - y1)} m ${number(x2)} ${number(this.height - y2)} l S`);
+    }
+
+    rect(x, y, width, height, { gray = 0.95 } = {}) {
+        this.draw(`${number(gray)} g ${number(x)} ${number(this.height - y - height)} ` +
+            `${number(width)} ${number(height)} re f`);
+    }
+
+    /**
+     * The finished file
+     */
+    toBuffer() {
+        if (this.pages.length === 0) this.addPage();
+
+        const objects = [];
+        // Object numbers count from 1
+        const add = body => objects.push(body);
+
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null); // the page tree, once the pages are numbered
+        add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        add(`<< /Title ${pdfString(this.title)} >>`);
+
+        const pageRefs = this.pages.map(operations => {
+            const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+            const contentRef = add({ dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`);
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        const offsets = [];
+        let length = chunks[0].length;
+
+        objects.forEach((body, i) => {
+            const parts = typeof body === 'string'
+                ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+                : [
+                    Buffer.from(`${i + 1} 0 obj\n${body.dictionary}\nstream\n`, 'latin1'),
+                    body.stream,
+                    Buffer.from('\nendstream\nendobj\n', 'latin1')
+                ];
+            offsets.push(length);
+            for (const part of parts) {
+                chunks.push(part);
+                length += part.length;
+            }
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF',
+            ''
+        ].join('\n');
+        chunks.push(Buffer.from(xref, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = {
+    PAGE_SIZE,
+    textWidth,
+    wrapText,
+    PdfDocument
+};
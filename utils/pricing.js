@@ -0,0 +1,163 @@
+const config = require('../config');
+const { repository } = require('./storage');
+const { HttpError } = require('./errors');
+
+/**
+ * Tax and shipping
+ *
+ * Tax rates (taxRates collection) and shipping zones (shippingZones
+ * collection) each cover a region:
+ *   countries  country codes as entered at checkout, or '*' for anywhere
+ *   states     state or province codes; empty for the whole country
+ *   postcodes  postcode prefixes; empty for any postcode
+ * When several regions match an address the most specific wins: a postcode
+ * match beats a state match, which beats a country, which beats '*'.
+ *
+ * A tax rate is { name, rate, shippingTaxable, ...region } with rate in
+ * percent. A shipping zone is { name, methods, ...region } where each method
+ * is { method, label, price, perKg, tiers, freeOver, minDays, maxDays }:
+ * the price (or, with tiers [{ minSubtotal, price }], the price of the
+ * highest tier the subtotal reaches) plus perKg for each kilogram, and free
+ * once the subtotal is over freeOver. The subtotal these go by is after any
+ * coupon discount.
+ */
+
+const SHIPPING_METHODS = ['standard', 'express'];
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Country, state and postcode of an address in the form regions use
+ * Addresses without a country are taken to be in the store's own country.
+ */
+function normalizeAddress({ country, state, zipCode, postcode } = {}) {
+    return {
+        country: String(country || config.pricing.defaultCountry).trim().toUpperCase(),
+        state: String(state || '').trim().toUpperCase(),
+        postcode: String(postcode || zipCode || '').replace(/\s+/g, '').toUpperCase()
+    };
+}
+
+/**
+ * How specifically a region covers an address, or -1 when it doesn't
+ */
+function regionMatch(region, address) {
+    const countries = region.countries.map(c => c.toUpperCase());
+    let score;
+
+    if (countries.includes(address.country)) score = 1;
+    else if (countries.includes('*')) score = 0;
+    else return -1;
+
+    if (region.states.length > 0) {
+        if (!region.states.some(s => s.toUpperCase() === address.state)) return -1;
+        score += 2;
+    }
+    if (region.postcodes.length > 0) {
+        if (!region.postcodes.some(p => address.postcode.startsWith(p.replace(/\s+/g, '').toUpperCase()))) return -1;
+        score += 4;
+    }
+    return score;
+}
+
+function mostSpecific(regions, address) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const region of regions) {
+        const score = regionMatch(region, address);
+        if (score > bestScore) {
+            best = region;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Shipping price of one method for an order
+ */
+function shippingPrice(method, { subtotal, weight }) {
+    if (method.freeOver !== null && subtotal > method.freeOver) return 0;
+
+    const tier = [...method.tiers]
+        .sort((a, b) => b.minSubtotal - a.minSubtotal)
+        .find(t => subtotal >= t.minSubtotal);
+
+    return roundMoney((tier ? tier.price : method.price) + method.perKg * weight);
+}
+
+/**
+ * The tax rates and shipping zones in force
+ * Pass a transaction to read them through it.
+ */
+function loadPricingRules(tx = null) {
+    const source = tx || { repository };
+    return {
+        taxRates: source.repository('taxRates').findAll(),
+        shippingZones: source.repository('shippingZones').findAll()
+    };
+}
+
+/**
+ * Shipping, tax and total for an order
+ *
+ * subtotal is what the items cost, discount what a coupon takes off it and
+ * weight the items' total weight in kilograms; freeShipping comes from a
+ * coupon. method picks the shipping method, defaulting to the cheapest.
+ * Returns { shipping, shippingMethod, shippingOptions, tax, taxRate,
+ * taxableAmount, total }. Throws when nothing ships to the address or the
+ * method isn't offered there.
+ */
+function quote({ subtotal, discount = 0, weight = 0, freeShipping = false, address, method = null }, rules) {
+    const destination = normalizeAddress(address);
+    const zone = mostSpecific(rules.shippingZones, destination);
+
+    if (!zone || zone.methods.length === 0) {
+        throw new HttpError(400, 'Shipping unavailable', `We do not ship to ${destination.country} yet`);
+    }
+
+    const shippingOptions = zone.methods
+        .map(m => ({
+            method: m.method,
+            label: m.label,
+            price: freeShipping ? 0 : shippingPrice(m, { subtotal: subtotal - discount, weight }),
+            minDays: m.minDays,
+            maxDays: m.maxDays
+        }))
+        .sort((a, b) => a.price - b.price);
+
+    const shippingMethod = method
+        ? shippingOptions.find(o => o.method === method)
+        : shippingOptions[0];
+
+    if (!shippingMethod) {
+        throw new HttpError(400, 'Shipping unavailable', `${method} shipping is not available to this address`);
+    }
+
+    const rate = mostSpecific(rules.taxRates, destination);
+    const taxableAmount = Math.max(0, subtotal - discount) + (rate && rate.shippingTaxable ? shippingMethod.price : 0);
+    const tax = rate ? roundMoney(taxableAmount * rate.rate / 100) : 0;
+
+    return {
+        shipping: shippingMethod.price,
+        shippingMethod,
+        shippingOptions,
+        tax,
+        taxRate: rate ? { id: rate.id, name: rate.name, rate: rate.rate } : null,
+        taxableAmount: roundMoney(taxableAmount),
+        total: roundMoney(subtotal - discount + shippingMethod.price + tax)
+    };
+}
+
+module.exports = {
+    SHIPPING_METHODS,
+    roundMoney,
+    normalizeAddress,
+    regionMatch,
+    shippingPrice,
+    loadPricingRules,
+    quote
+};
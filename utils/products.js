@@ -0,0 +1,131 @@
+const { generateId, getTimestamp } = require('./helpers');
+
+/**
+ * Product lifecycle and revision history
+ *
+ * A product is a draft while it is being prepared, active while it is on
+ * sale and archived once it is withdrawn. Only active products are shown on
+ * the storefront; archived ones stay readable so past orders can link to them.
+ *
+ * Each admin change to a product is stored in the productRevisions collection
+ * as a diff of its top-level fields:
+ *   { id, productId, revision, action, changes: { field: { from, to } },
+ *     note, userId, userName, createdAt }
+ * Stock is left out because the inventory ledger already records it, and
+ * rating/review counts because they are derived from reviews.
+ */
+
+const PRODUCT_STATUSES = ['draft', 'active', 'archived'];
+
+const UNTRACKED_FIELDS = ['id', 'stock', 'rating', 'reviews', 'createdAt', 'updatedAt'];
+
+function isActive(product) {
+    return Boolean(product) && product.status === 'active';
+}
+
+/**
+ * A field's value as tracked in revisions (variants without their stock)
+ */
+function trackedValue(product, field) {
+    const value = product ? product[field] : undefined;
+    if (field === 'variants' && Array.isArray(value)) {
+        return value.map(({ stock, ...variant }) => variant);
+    }
+    return value;
+}
+
+/**
+ * Fields that differ between two versions of a product
+ * Pass null as before for a new product.
+ */
+function diffProducts(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    for (const field of fields) {
+        if (UNTRACKED_FIELDS.includes(field)) continue;
+
+        const from = trackedValue(before, field);
+        const to = trackedValue(after, field);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Store a revision for a product change made by an admin
+ * Updates that change no tracked field are not recorded. Returns the revision or null.
+ */
+function recordRevision(revisions, before, after, { action, user, note = '' }) {
+    const changes = diffProducts(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    return revisions.insert({
+        id: generateId(),
+        productId: after.id,
+        revision: revisions.query({ productId: after.id }).length + 1,
+        action,
+        changes,
+        note,
+        userId: user ? user.id : null,
+        userName: user ? user.name : '',
+        createdAt: getTimestamp()
+    });
+}
+
+/**
+ * Ids of the uploaded images a product has now or had in any of its revisions
+ */
+function productUploadIds(product, revisions) {
+    const ids = new Set();
+    const add = images => (Array.isArray(images) ? images : [])
+        .filter(image => image && typeof image === 'object')
+        .forEach(image => ids.add(image.id));
+
+    add(product && product.images);
+    revisions.filter(r => r.changes.images).forEach(r => {
+        add(r.changes.images.from);
+        add(r.changes.images.to);
+    });
+    return ids;
+}
+
+/**
+ * The product as it was right after a given revision
+ * Undoes every later revision, newest first. Stock is kept as it is now;
+ * variants that come back keep their current stock or start empty.
+ */
+function productAtRevision(product, revisions, revisionNumber) {
+    const restored = structuredClone(product);
+
+    revisions
+        .filter(r => r.revision > revisionNumber)
+        .sort((a, b) => b.revision - a.revision)
+        .forEach(revision => {
+            for (const [field, { from }] of Object.entries(revision.changes)) {
+                if (from === null) {
+                    delete restored[field];
+                } else {
+                    restored[field] = structuredClone(from);
+                }
+            }
+        });
+
+    if (Array.isArray(restored.variants)) {
+        const currentStock = new Map((product.variants || []).map(v => [v.id, v.stock]));
+        restored.variants = restored.variants.map(v => ({ ...v, stock: currentStock.get(v.id) || 0 }));
+    }
+
+    return restored;
+}
+
+module.exports = {
+    PRODUCT_STATUSES,
+    isActive,
+    diffProducts,
+    recordRevision,
+    productUploadIds,
+    productAtRevision
+};
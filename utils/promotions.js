@@ -0,0 +1,171 @@
+const { repository } = require('./storage');
+const { HttpError } = require('./errors');
+const { CategoryTree } = require('./categories');
+
+/**
+ * Scheduled promotions
+ *
+ * Promotions are records in the promotions collection:
+ *   { id, name, description, type, value, startsAt, endsAt, enabled,
+ *     productIds, categoryIds, brands, createdAt, updatedAt }
+ * type is 'percentage' (value is the percent off) or 'fixed' (value is the
+ * amount off each unit). A promotion applies to the listed products, to
+ * every product in the listed categories or below them, and to the listed
+ * brands, from startsAt until just before endsAt.
+ *
+ * Prices are resolved when a request is made, so promotions start and end
+ * on their own. Stored product prices are never changed; when several
+ * promotions match, the one giving the lowest price wins.
+ */
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+function roundPrice(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Whether a promotion is scheduled, running, ended or switched off at a time
+ */
+function promotionState(promotion, now = new Date()) {
+    if (!promotion.enabled) return 'disabled';
+    if (now < new Date(promotion.startsAt)) return 'scheduled';
+    if (now >= new Date(promotion.endsAt)) return 'ended';
+    return 'running';
+}
+
+function discountedPrice(price, promotion) {
+    const discounted = promotion.type === 'percentage'
+        ? price * (1 - promotion.value / 100)
+        : price - promotion.value;
+    return Math.max(0, roundPrice(discounted));
+}
+
+/**
+ * Promotions running at one moment, able to price products
+ */
+class Pricing {
+    constructor(promotions, tree, now = new Date()) {
+        this.promotions = promotions
+            .filter(p => promotionState(p, now) === 'running')
+            .map(p => ({
+                ...p,
+                categories: new Set(p.categoryIds.flatMap(id => [...tree.descendantIds(id)])),
+                brands: new Set(p.brands.map(b => b.toLowerCase()))
+            }));
+    }
+
+    appliesTo(promotion, product) {
+        return promotion.productIds.includes(product.id) ||
+            promotion.categories.has(product.categoryId) ||
+            promotion.brands.has(String(product.brand || '').toLowerCase());
+    }
+
+    /**
+     * The price to charge for a product (or one of its variants) whose
+     * regular price is basePrice, and the promotion giving it
+     * Returns { price, basePrice, promotion } with promotion null when none applies.
+     */
+    priceFor(product, basePrice) {
+        let best = { price: basePrice, basePrice, promotion: null };
+
+        for (const promotion of this.promotions) {
+            if (!this.appliesTo(promotion, product)) continue;
+
+            const price = discountedPrice(basePrice, promotion);
+            if (price < best.price) {
+                best = {
+                    price,
+                    basePrice,
+                    promotion: { id: promotion.id, name: promotion.name, endsAt: promotion.endsAt }
+                };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * A copy of a product with promotional prices for it and its variants
+     * basePrice keeps the regular price; originalPrice stays the "was" price shown crossed out.
+     * Variants with their own price are priced even when the product's price
+     * isn't lowered (e.g. a base price of 0), and the product then carries
+     * their promotion.
+     */
+    priceProduct(product) {
+        const { price, basePrice, promotion } = this.priceFor(product, product.price);
+
+        let variantPromotion = null;
+        const variants = (product.variants || []).map(v => {
+            if (v.price === null) return v;
+            const priced = this.priceFor(product, v.price);
+            variantPromotion = variantPromotion || priced.promotion;
+            return { ...v, price: priced.price, basePrice: v.price };
+        });
+
+        if (!promotion && !variantPromotion) return product;
+
+        return {
+            ...product,
+            price,
+            basePrice,
+            originalPrice: promotion ? Math.max(product.originalPrice || 0, basePrice) : product.originalPrice,
+            promotion: promotion || variantPromotion,
+            variants
+        };
+    }
+}
+
+/**
+ * Pricing for the promotions running now
+ * Pass a transaction to read promotions and categories through it.
+ */
+function currentPricing(tx = null) {
+    const source = tx || { repository };
+    return new Pricing(
+        source.repository('promotions').findAll(),
+        new CategoryTree(source.repository('categories').findAll())
+    );
+}
+
+/**
+ * Check a promotion's schedule, discount and targets
+ * input has passed the route schema; existing is the stored promotion when editing.
+ */
+function checkPromotion(input, { tree, products }, existing = null) {
+    const promotion = { ...existing, ...input };
+
+    if (new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+        throw new HttpError(400, 'Invalid schedule', 'A promotion must end after it starts');
+    }
+
+    if (promotion.type === 'percentage' && (promotion.value <= 0 || promotion.value > 100)) {
+        throw new HttpError(400, 'Invalid discount', 'A percentage discount must be above 0 and at most 100');
+    }
+    if (promotion.type === 'fixed' && promotion.value <= 0) {
+        throw new HttpError(400, 'Invalid discount', 'A fixed discount must be above 0');
+    }
+
+    if (promotion.productIds.length + promotion.categoryIds.length + promotion.brands.length === 0) {
+        throw new HttpError(400, 'Missing target', 'Choose at least one product, category or brand');
+    }
+
+    const unknownProduct = promotion.productIds.find(id => !products.findById(id));
+    if (unknownProduct) {
+        throw new HttpError(400, 'Unknown product', `Product ${unknownProduct} does not exist`);
+    }
+    const unknownCategory = promotion.categoryIds.find(id => !tree.get(id));
+    if (unknownCategory) {
+        throw new HttpError(400, 'Unknown category', `Category ${unknownCategory} does not exist`);
+    }
+
+    return promotion;
+}
+
+module.exports = {
+    PROMOTION_TYPES,
+    promotionState,
+    discountedPrice,
+    Pricing,
+    currentPricing,
+    checkPromotion
+};
@@ -0,0 +1,147 @@
+const { repository } = require('./storage');
+const { isActive } = require('./products');
+
+/**
+ * "Frequently bought together" recommendations
+ *
+ * Products bought in the same order are counted as a co-purchase. A
+ * candidate's affinity to a product is the number of orders containing
+ * both, divided by the geometric mean of how many orders contain each
+ * (cosine similarity), so a bestseller does not crowd out everything else.
+ * Cancelled orders don't count.
+ *
+ * When there is not enough order history, the list is topped up with
+ * similar products: the same category, then the same top-level category,
+ * plus shared tags.
+ *
+ * The co-purchase counts are built from the orders on first use and kept up
+ * to date by the order routes through addOrder()/removeOrder().
+ */
+
+// Similarity points for products without co-purchase history
+const SAME_CATEGORY_SCORE = 2;
+const SAME_TOP_CATEGORY_SCORE = 1;
+const SHARED_TAG_SCORE = 0.5;
+
+class CoPurchaseIndex {
+    constructor() {
+        this.orderCounts = new Map();   // productId -> orders containing it
+        this.pairCounts = new Map();    // productId -> Map(otherId -> orders containing both)
+        this.orderIds = new Set();      // orders counted so far
+    }
+
+    change(order, delta) {
+        const productIds = [...new Set(order.items.map(item => item.productId))];
+
+        for (const productId of productIds) {
+            this.orderCounts.set(productId, (this.orderCounts.get(productId) || 0) + delta);
+            if (!this.pairCounts.has(productId)) this.pairCounts.set(productId, new Map());
+
+            const pairs = this.pairCounts.get(productId);
+            for (const otherId of productIds) {
+                if (otherId !== productId) pairs.set(otherId, (pairs.get(otherId) || 0) + delta);
+            }
+        }
+    }
+
+    // Each order is counted at most once, so an order the lazy build has
+    // already read (or left out) is not added or removed a second time
+    addOrder(order) {
+        if (order.status === 'cancelled' || this.orderIds.has(order.id)) return;
+        this.orderIds.add(order.id);
+        this.change(order, 1);
+    }
+
+    removeOrder(order) {
+        if (!this.orderIds.delete(order.id)) return;
+        this.change(order, -1);
+    }
+
+    /**
+     * Affinity of every co-purchased product to any of the given products
+     * Returns a Map of product id -> score, best first.
+     */
+    scoresFor(productIds) {
+        const scores = new Map();
+
+        for (const productId of productIds) {
+            const pairs = this.pairCounts.get(productId) || new Map();
+
+            for (const [otherId, together] of pairs) {
+                const orders = (this.orderCounts.get(productId) || 0) * (this.orderCounts.get(otherId) || 0);
+                if (together <= 0 || orders <= 0) continue;
+                const affinity = together / Math.sqrt(orders);
+                scores.set(otherId, (scores.get(otherId) || 0) + affinity);
+            }
+        }
+
+        return new Map([...scores].sort((a, b) => b[1] - a[1]));
+    }
+}
+
+let coPurchaseIndex = null;
+
+/**
+ * The co-purchase counts, built from the order history on first use
+ */
+function getCoPurchaseIndex() {
+    if (!coPurchaseIndex) {
+        coPurchaseIndex = new CoPurchaseIndex();
+        repository('orders').findAll().forEach(order => coPurchaseIndex.addOrder(order));
+    }
+    return coPurchaseIndex;
+}
+
+/**
+ * How alike a candidate is to the given products, by category and tags
+ */
+function similarity(candidate, products) {
+    return products.reduce((score, product) => {
+        if (candidate.categoryId && candidate.categoryId === product.categoryId) {
+            score += SAME_CATEGORY_SCORE;
+        } else if (candidate.category === product.category) {
+            score += SAME_TOP_CATEGORY_SCORE;
+        }
+        const tags = new Set(product.tags || []);
+        return score + (candidate.tags || []).filter(tag => tags.has(tag)).length * SHARED_TAG_SCORE;
+    }, 0);
+}
+
+/**
+ * Active products to suggest alongside the given ones, best first
+ * Co-purchased products come first, then similar products fill the list.
+ * Each entry is { product, reason } with reason 'bought-together' or 'similar'.
+ */
+function recommend(productIds, { limit = 4, exclude = [] } = {}) {
+    const skip = new Set([...productIds, ...exclude]);
+    const catalog = repository('products').findAll();
+    const candidates = new Map(catalog.filter(p => isActive(p) && !skip.has(p.id)).map(p => [p.id, p]));
+
+    const results = [];
+    for (const productId of getCoPurchaseIndex().scoresFor(productIds).keys()) {
+        if (results.length >= limit) break;
+        if (candidates.has(productId)) {
+            results.push({ product: candidates.get(productId), reason: 'bought-together' });
+            candidates.delete(productId);
+        }
+    }
+
+    if (results.length < limit) {
+        const sources = catalog.filter(p => productIds.includes(p.id));
+
+        [...candidates.values()]
+            .map(product => ({ product, score: similarity(product, sources) }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || b.product.rating - a.product.rating)
+            .slice(0, limit - results.length)
+            .forEach(({ product }) => results.push({ product, reason: 'similar' }));
+    }
+
+    return results;
+}
+
+module.exports = {
+    CoPurchaseIndex,
+    getCoPurchaseIndex,
+    recommend
+};
@@ -0,0 +1,188 @@
+const config = require('../config');
+const { generateId } = require('./helpers');
+const { repository, transaction } = require('./storage');
+const { HttpError } = require('./errors');
+const { hasVariants, findVariant, resolveVariant } = require('./variants');
+const { isActive } = require('./products');
+
+/**
+ * Stock reservations
+ *
+ * Starting checkout holds the quantities in the customer's cart for
+ * config.reservations.ttlMinutes so nobody else can buy them meanwhile.
+ * Holds are records in the reservations collection:
+ *   { id, userId, productId, variantId, quantity, expiresAt, createdAt }
+ * The stock other customers can buy is the stock on hand less everyone
+ * else's unexpired holds. Placing the order takes the stock for real and
+ * drops the customer's holds in the same transaction. Expired holds stop
+ * counting straight away; the sweeper deletes them later.
+ */
+
+function isHeld(hold, now) {
+    return new Date(hold.expiresAt) > now;
+}
+
+/**
+ * Stock left once other customers' holds are taken off
+ */
+class Availability {
+    constructor(holds, { exceptUserId = null, now = new Date() } = {}) {
+        // productId -> variantId ('' for none) -> quantity held
+        this.held = new Map();
+
+        for (const hold of holds) {
+            if (hold.userId === exceptUserId || !isHeld(hold, now)) continue;
+
+            const byVariant = this.held.get(hold.productId) || new Map();
+            const key = hold.variantId || '';
+            byVariant.set(key, (byVariant.get(key) || 0) + hold.quantity);
+            this.held.set(hold.productId, byVariant);
+        }
+    }
+
+    /**
+     * Quantity of a product, or one of its variants, held by other customers
+     */
+    reserved(productId, variantId = null) {
+        const byVariant = this.held.get(productId);
+        if (!byVariant) return 0;
+        if (variantId) return byVariant.get(variantId) || 0;
+        return [...byVariant.values()].reduce((sum, quantity) => sum + quantity, 0);
+    }
+
+    /**
+     * Stock of a product or one of its variants that can still be bought
+     */
+    stockFor(product, variant = null) {
+        const { stock } = resolveVariant(product, variant);
+        return Math.max(0, stock - this.reserved(product.id, variant ? variant.id : null));
+    }
+
+    /**
+     * A copy of a product showing the stock that can still be bought
+     * reservedStock is what other customers hold, so stock + reservedStock is on hand.
+     */
+    applyTo(product) {
+        const reservedStock = this.reserved(product.id);
+        if (reservedStock === 0) return product;
+
+        if (!hasVariants(product)) {
+            return { ...product, stock: this.stockFor(product), reservedStock };
+        }
+
+        const variants = product.variants.map(v => ({
+            ...v,
+            stock: this.stockFor(product, v),
+            reservedStock: this.reserved(product.id, v.id)
+        }));
+
+        return {
+            ...product,
+            stock: variants.reduce((sum, v) => sum + v.stock, 0),
+            reservedStock,
+            variants
+        };
+    }
+}
+
+/**
+ * Stock available to a customer now (their own holds don't count against them)
+ * Pass a transaction to read reservations through it.
+ */
+function currentAvailability(userId = null, tx = null) {
+    const source = tx || { repository };
+    return new Availability(source.repository('reservations').findAll(), { exceptUserId: userId });
+}
+
+/**
+ * Drop all of a customer's holds
+ */
+function releaseHolds(reservations, userId) {
+    for (const hold of reservations.query({ userId })) {
+        reservations.delete(hold.id);
+    }
+}
+
+/**
+ * Hold a customer's cart lines, replacing any holds they had
+ * Throws when another customer's hold or a sale leaves too little stock.
+ * Returns the new holds.
+ */
+function holdCart(tx, userId, cart, now = new Date()) {
+    const reservations = tx.repository('reservations');
+    const products = tx.repository('products');
+    const availability = new Availability(reservations.findAll(), { exceptUserId: userId, now });
+    const expiresAt = new Date(now.getTime() + config.reservations.ttlMinutes * 60 * 1000).toISOString();
+
+    releaseHolds(reservations, userId);
+
+    return cart.map(item => {
+        const product = products.findById(item.productId);
+        const variant = product && item.variantId ? findVariant(product, item.variantId) : null;
+
+        if (!isActive(product) || (item.variantId && !variant)) {
+            throw new HttpError(400, 'Unavailable', `${product ? product.name : 'A product in your cart'} is no longer available`);
+        }
+
+        const available = availability.stockFor(product, variant);
+        if (available < item.quantity) {
+            throw new HttpError(409, 'Insufficient stock', available > 0
+                ? `Only ${available} of ${product.name} left`
+                : `${product.name} is sold out`);
+        }
+
+        return reservations.insert({
+            id: generateId(),
+            userId,
+            productId: item.productId,
+            variantId: item.variantId || null,
+            quantity: item.quantity,
+            expiresAt,
+            createdAt: now.toISOString()
+        });
+    });
+}
+
+/**
+ * When a customer's current holds run out, or null without any
+ */
+function holdExpiry(userId, now = new Date()) {
+    const holds = repository('reservations').query({ userId }).filter(hold => isHeld(hold, now));
+    if (holds.length === 0) return null;
+    return holds.map(hold => hold.expiresAt).sort()[0];
+}
+
+/**
+ * Delete expired holds
+ */
+function sweepReservations(now = new Date()) {
+    return transaction(tx => {
+        const reservations = tx.repository('reservations');
+        const expired = reservations.findAll().filter(hold => !isHeld(hold, now));
+        expired.forEach(hold => reservations.delete(hold.id));
+        return expired.length;
+    });
+}
+
+/**
+ * Sweep expired holds every config.reservations.sweepInterval milliseconds
+ */
+function startReservationSweeper() {
+    const timer = setInterval(() => {
+        sweepReservations().catch(error => console.error('Reservation sweep error:', error));
+    }, config.reservations.sweepInterval);
+
+    // Don't keep the process alive just to sweep
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    Availability,
+    currentAvailability,
+    releaseHolds,
+    holdCart,
+    holdExpiry,
+    sweepReservations,
+    startReservationSweeper
+};
@@ -0,0 +1,274 @@
+const config = require('../config');
+const { generateId, getTimestamp, formatCurrency } = require('./helpers');
+const { HttpError } = require('./errors');
+const { restockItems } = require('./inventory');
+const { roundMoney } = require('./pricing');
+
+/**
+ * Returns and refunds
+ *
+ * Customers can ask to return lines of a delivered order for
+ * config.returns.windowDays after delivery. A return is kept on its order:
+ *   order.returns = [{ id, rmaNumber, items, comment, status, value, note,
+ *                      userId, createdAt, updatedAt }]
+ * where each item is an order line's { productId, variantId, name,
+ * variantLabel, price } with the quantity going back and its reason, and
+ * value is what was paid for the items: their price less their share of the
+ * order's coupon discount, which is spread over the lines by their
+ * subtotal. Returns move along
+ * RETURN_TRANSITIONS; receiving one puts its items back in stock, and
+ * refunding a received return marks it refunded.
+ *
+ * Refunds are kept on the order as well:
+ *   order.refunds = [{ id, amount, reason, returnId, userId, createdAt }]
+ * with their sum in order.refundedTotal, which can't go over order.total.
+ *
+ * Each step adds an entry to the order's statusHistory with the order's
+ * status unchanged and an event naming the step, e.g. 'return-requested'.
+ * The functions here return the updated order for the caller to store.
+ */
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong-item', 'not-as-described', 'no-longer-needed', 'other'];
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'rejected'],
+    received: [],
+    rejected: [],
+    refunded: []
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function sameLine(a, b) {
+    return a.productId === b.productId && (a.variantId || null) === (b.variantId || null);
+}
+
+function lineName(item) {
+    return item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+}
+
+function historyEntry(order, event, note, now) {
+    return { status: order.status, event, timestamp: now, note };
+}
+
+/**
+ * The part of each line's price the customer paid after the order's discount
+ */
+function paidShare(order) {
+    if (!order.discount || !order.subtotal) return 1;
+    return Math.max(0, 1 - order.discount / order.subtotal);
+}
+
+/**
+ * When the order's return window closes, or null when it isn't delivered
+ */
+function returnDeadline(order) {
+    if (order.status !== 'delivered' || !order.deliveredAt) return null;
+    return new Date(new Date(order.deliveredAt).getTime() + config.returns.windowDays * DAY).toISOString();
+}
+
+/**
+ * How many of each order line can still be returned: lines already in a
+ * return that wasn't rejected don't count, and nothing can once the window closes
+ */
+function returnableQuantities(order, now = getTimestamp()) {
+    const deadline = returnDeadline(order);
+    const open = deadline !== null && now <= deadline;
+    const returns = (order.returns || []).filter(r => r.status !== 'rejected');
+
+    return order.items.map(item => {
+        if (!open) return 0;
+        const returned = returns
+            .flatMap(r => r.items)
+            .filter(line => sameLine(line, item))
+            .reduce((sum, line) => sum + line.quantity, 0);
+        return Math.max(0, item.quantity - returned);
+    });
+}
+
+/**
+ * What can still be refunded on an order
+ */
+function refundableAmount(order) {
+    return roundMoney(order.total - (order.refundedTotal || 0));
+}
+
+/**
+ * Open a return for lines of a delivered order
+ * input is the customer's { items: [{ productId, variantId, quantity, reason }], comment }.
+ */
+function requestReturn(order, { items, comment }, { userId }) {
+    const now = getTimestamp();
+
+    if (order.status !== 'delivered') {
+        throw new HttpError(409, 'Not returnable', 'Only delivered orders can be returned');
+    }
+
+    const deadline = returnDeadline(order);
+    if (now > deadline) {
+        throw new HttpError(409, 'Return window closed', `Returns for this order closed on ${deadline.slice(0, 10)}`);
+    }
+
+    const remaining = returnableQuantities(order, now);
+    const lines = items.map(requested => {
+        const index = order.items.findIndex(item => sameLine(item, requested));
+
+        if (index === -1) {
+            throw new HttpError(400, 'Invalid item', `Product ${requested.productId} is not part of this order`);
+        }
+
+        const item = order.items[index];
+        if (requested.quantity > remaining[index]) {
+            throw new HttpError(400, 'Invalid quantity', remaining[index] > 0
+                ? `Only ${remaining[index]} of ${lineName(item)} can be returned`
+                : `${lineName(item)} has already been returned`);
+        }
+        remaining[index] -= requested.quantity;
+
+        return {
+            productId: item.productId,
+            variantId: item.variantId || null,
+            name: item.name,
+            variantLabel: item.variantLabel || null,
+            price: item.price,
+            quantity: requested.quantity,
+            reason: requested.reason
+        };
+    });
+
+    const rma = {
+        id: generateId(),
+        rmaNumber: `RMA-${Date.now().toString(36).toUpperCase()}`,
+        items: lines,
+        comment: comment || '',
+        status: 'requested',
+        value: roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * paidShare(order)),
+        note: null,
+        userId,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const summary = lines.map(line => `${line.quantity} × ${lineName(line)}`).join(', ');
+
+    return {
+        ...order,
+        returns: [...(order.returns || []), rma],
+        statusHistory: [
+            ...order.statusHistory,
+            historyEntry(order, 'return-requested', `Return ${rma.rmaNumber} requested: ${summary}`, now)
+        ],
+        updatedAt: now
+    };
+}
+
+/**
+ * Approve, reject or receive one of an order's returns (admin)
+ * Received items go back in stock in the caller's transaction.
+ */
+function updateReturn(order, returnId, { status, note }, { tx, userId }) {
+    const rma = (order.returns || []).find(r => r.id === returnId);
+
+    if (!rma) {
+        throw new HttpError(404, 'Not found', 'Return not found');
+    }
+
+    const allowed = RETURN_TRANSITIONS[rma.status];
+    if (!allowed.includes(status)) {
+        throw new HttpError(409, 'Invalid transition', allowed.length > 0
+            ? `A ${rma.status} return can't be moved to ${status}, only to ${allowed.join(', ')}`
+            : `A ${rma.status} return can't change status any more`);
+    }
+
+    if (status === 'received') {
+        restockItems(tx.repository('products'), tx.repository('stockMovements'), rma.items, {
+            type: 'return',
+            reason: `Return ${rma.rmaNumber} received`,
+            userId,
+            orderId: order.id
+        });
+    }
+
+    const now = getTimestamp();
+
+    return {
+        ...order,
+        returns: order.returns.map(r => (r.id === returnId ? { ...r, status, note: note || r.note, updatedAt: now } : r)),
+        statusHistory: [
+            ...order.statusHistory,
+            historyEntry(order, `return-${status}`, note || `Return ${rma.rmaNumber} ${status}`, now)
+        ],
+        updatedAt: now
+    };
+}
+
+/**
+ * Refund part or all of an order (admin)
+ * With a returnId the refund settles that return, which must have been
+ * received, and defaults to and can't go over its value; otherwise it
+ * defaults to everything still refundable.
+ */
+function refundOrder(order, { amount, reason, returnId }, { userId }) {
+    const refundable = refundableAmount(order);
+    const rma = returnId ? (order.returns || []).find(r => r.id === returnId) : null;
+
+    if (returnId && !rma) {
+        throw new HttpError(404, 'Not found', 'Return not found');
+    }
+    if (rma && rma.status === 'refunded') {
+        throw new HttpError(409, 'Already refunded', `Return ${rma.rmaNumber} has already been refunded`);
+    }
+    if (rma && rma.status !== 'received') {
+        throw new HttpError(409, 'Not received', `Return ${rma.rmaNumber} has to be received before it's refunded`);
+    }
+    if (refundable <= 0) {
+        throw new HttpError(409, 'Nothing to refund', `Order ${order.orderNumber} has been refunded in full`);
+    }
+
+    const refund = roundMoney(amount !== undefined && amount !== null
+        ? amount
+        : Math.min(rma ? rma.value : refundable, refundable));
+
+    if (refund > refundable) {
+        throw new HttpError(400, 'Invalid amount', `At most ${formatCurrency(refundable)} can still be refunded`);
+    }
+    if (rma && refund > rma.value) {
+        throw new HttpError(400, 'Invalid amount', `Return ${rma.rmaNumber} can be refunded at most ${formatCurrency(rma.value)}`);
+    }
+
+    const now = getTimestamp();
+    const record = {
+        id: generateId(),
+        amount: refund,
+        reason: reason || (rma ? `Return ${rma.rmaNumber}` : ''),
+        returnId: rma ? rma.id : null,
+        userId,
+        createdAt: now
+    };
+    const note = `Refunded ${formatCurrency(refund)}${record.reason ? `: ${record.reason}` : ''}`;
+
+    return {
+        ...order,
+        returns: rma
+            ? order.returns.map(r => (r.id === rma.id ? { ...r, status: 'refunded', updatedAt: now } : r))
+            : order.returns || [],
+        refunds: [...(order.refunds || []), record],
+        refundedTotal: roundMoney((order.refundedTotal || 0) + refund),
+        statusHistory: [...order.statusHistory, historyEntry(order, 'refund', note, now)],
+        updatedAt: now
+    };
+}
+
+module.exports = {
+    RETURN_REASONS,
+    RETURN_STATUSES,
+    returnDeadline,
+    returnableQuantities,
+    refundableAmount,
+    requestReturn,
+    updateReturn,
+    refundOrder
+};
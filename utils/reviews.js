@@ -0,0 +1,58 @@
+/**
+ * Review helpers shared by the review routes and migrations
+ */
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+/**
+ * Request body schema for posting a review (see utils/schema.js)
+ */
+const REVIEW_SCHEMA = {
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    title: { type: 'string', maxLength: 120, default: '' },
+    text: { type: 'string', required: true, maxLength: 2000 }
+};
+
+/**
+ * Whether a user has a non-cancelled order containing the product
+ */
+function hasPurchased(orderRepo, userId, productId) {
+    return orderRepo
+        .query({ userId })
+        .some(order => order.status !== 'cancelled' &&
+            order.items.some(item => item.productId === productId));
+}
+
+/**
+ * Average rating, count and star distribution of the published reviews
+ */
+function summarizeReviews(reviews) {
+    const published = reviews.filter(r => r.status === 'published');
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    published.forEach(r => { distribution[r.rating]++; });
+
+    const total = published.reduce((sum, r) => sum + r.rating, 0);
+
+    return {
+        average: published.length ? Math.round((total / published.length) * 10) / 10 : 0,
+        count: published.length,
+        distribution
+    };
+}
+
+/**
+ * Recompute a product's rating and review count from its reviews
+ * Must be called with repositories from the same transaction as the review write.
+ */
+function refreshProductRating(productRepo, reviewRepo, productId) {
+    const { average, count } = summarizeReviews(reviewRepo.query({ productId }));
+    return productRepo.update(productId, { rating: average, reviews: count });
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    REVIEW_SCHEMA,
+    hasPurchased,
+    summarizeReviews,
+    refreshProductRating
+};
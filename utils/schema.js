@@ -0,0 +1,193 @@
+const { isValidEmail } = require('./helpers');
+
+/**
+ * Declarative request validation
+ *
+ * A schema maps field names to rules, e.g.
+ *   { name: { type: 'string', required: true, maxLength: 200 },
+ *     price: { type: 'number', min: 0 },
+ *     tags: { type: 'array', items: { type: 'string' } },
+ *     address: { type: 'object', properties: { city: { type: 'string' } } } }
+ *
+ * Types are string, number, integer, boolean, list (comma separated or
+ * repeated query values), array, object and any. Rules can also set
+ * nullable (null or an empty string become null), default, enum, min, max,
+ * minLength, maxLength (characters, or items of an array), pattern,
+ * format: 'email', trim: false, blank: false (optional text that must not
+ * be empty when given) and check, a function returning true or an error
+ * message.
+ *
+ * Values are coerced where the intent is clear (numeric strings, "true" and
+ * "false", comma separated lists), fields the schema does not name are
+ * dropped, and every problem is reported as { field, message }.
+ */
+
+/**
+ * Rule for ids in route parameters
+ */
+const ID = { type: 'string', required: true, maxLength: 64, pattern: /^[\w-]+$/ };
+
+/**
+ * Query rules for paged listings
+ */
+const PAGINATION = {
+    limit: { type: 'integer', min: 1, max: 100 },
+    page: { type: 'integer', min: 1, default: 1 }
+};
+
+function isMissing(value, rule) {
+    return value === undefined || value === null || (value === '' && rule.type !== 'string');
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Coerce a present value to its rule's type
+ * Returns { value } or { error }.
+ */
+function coerce(value, rule, path, errors) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+            if (typeof value !== 'string') return { error: 'must be text' };
+            return { value: rule.trim === false ? value : value.trim() };
+
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+            if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+            return { value: number };
+        }
+
+        case 'boolean':
+            if (value === true || value === 'true' || value === '1' || value === 1) return { value: true };
+            if (value === false || value === 'false' || value === '0' || value === 0) return { value: false };
+            return { error: 'must be true or false' };
+
+        case 'list': {
+            const items = (Array.isArray(value) ? value : [value])
+                .flatMap(v => String(v).split(','))
+                .map(v => v.trim())
+                .filter(Boolean);
+            return { value: items.map((item, i) => checkValue(item, rule.items || { type: 'string' }, `${path}[${i}]`, errors)) };
+        }
+
+        case 'array':
+            if (!Array.isArray(value)) return { error: 'must be a list' };
+            return {
+                value: rule.items
+                    ? value.map((item, i) => checkValue(item, { required: true, ...rule.items }, `${path}[${i}]`, errors))
+                    : value
+            };
+
+        case 'object':
+            if (!isPlainObject(value)) return { error: 'must be an object' };
+            if (rule.properties) return { value: checkObject(value, rule.properties, `${path}.`, errors) };
+            if (rule.values) {
+                return {
+                    value: Object.fromEntries(Object.entries(value).map(([key, v]) =>
+                        [key, checkValue(v, { required: true, ...rule.values }, `${path}.${key}`, errors)]))
+                };
+            }
+            return { value };
+
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Check the constraints of a coerced value, returning an error message or null
+ */
+function constraintError(value, rule) {
+    if (rule.type === 'string' && value === '') {
+        if (rule.required) return 'is required';
+        if (rule.blank === false) return 'must not be empty';
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+    }
+
+    if (typeof value === 'string' && value !== '') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) return `must be at least ${rule.minLength} characters`;
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+        if (rule.pattern && !rule.pattern.test(value)) return 'is not valid';
+        if (rule.format === 'email' && !isValidEmail(value)) return 'must be a valid email address';
+    }
+
+    if (Array.isArray(value) && rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `must have at most ${rule.maxLength} items`;
+    }
+
+    if (rule.check) {
+        const result = rule.check(value);
+        if (result !== true) return result;
+    }
+    return null;
+}
+
+/**
+ * Validate one value against its rule, recording problems in errors
+ * Returns the coerced value, or undefined when it is missing or invalid.
+ */
+function checkValue(value, rule, path, errors) {
+    if (isMissing(value, rule)) {
+        if ((value === null || value === '') && rule.nullable) return null;
+        if (rule.default !== undefined) return structuredClone(rule.default);
+        if (rule.required) errors.push({ field: path, message: `${path} is required` });
+        return undefined;
+    }
+
+    const { value: coerced, error } = coerce(value, rule, path, errors);
+    const message = error || constraintError(coerced, rule);
+
+    if (message) {
+        errors.push({ field: path, message: `${path} ${message}` });
+        return undefined;
+    }
+    return coerced;
+}
+
+function checkObject(input, properties, prefix, errors) {
+    const output = {};
+    for (const [field, rule] of Object.entries(properties)) {
+        const value = checkValue(input[field], rule, prefix + field, errors);
+        if (value !== undefined) output[field] = value;
+    }
+    return output;
+}
+
+/**
+ * Validate an object (body, query or params) against a schema
+ * Returns { value, errors } with value holding only the fields the schema names.
+ */
+function validateSchema(input, schema) {
+    const errors = [];
+    const value = checkObject(isPlainObject(input) ? input : {}, schema, '', errors);
+    return { value, errors };
+}
+
+/**
+ * The same schema with every field optional and no defaults, for partial updates
+ * Required text may still not be emptied.
+ */
+function partial(schema) {
+    return Object.fromEntries(Object.entries(schema).map(([field, { required, default: _, ...rule }]) => [
+        field,
+        required && rule.type === 'string' ? { ...rule, blank: false } : rule
+    ]));
+}
+
+module.exports = {
+    ID,
+    PAGINATION,
+    validateSchema,
+    partial
+};
@@ -0,0 +1,204 @@
+const { repository } = require('./storage');
+
+/**
+ * In-process full-text product search
+ *
+ * Products are tokenized, stemmed and stored in an inverted index
+ * (term -> product id -> weighted term frequency). Queries match exact
+ * terms, prefixes of longer terms and, for typos, terms within a small
+ * edit distance. The index is built lazily from the catalog and kept up
+ * to date by the admin routes through upsert()/remove().
+ */
+
+// How much a match in each field counts towards the score
+const FIELD_WEIGHTS = {
+    name: 5,
+    tags: 3,
+    brand: 3,
+    category: 2,
+    subcategory: 2,
+    description: 1
+};
+
+// Score multipliers for non-exact matches
+const PREFIX_PENALTY = 0.7;
+const FUZZY_PENALTY = 0.5;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Light English suffix stripping so plural and verb forms share a term
+ * ("headphones" -> "headphone", "batteries" -> "battery")
+ */
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (/(sses|xes|ches|shes|zes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) word = word.slice(0, -1);
+
+    if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+    if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+    return word;
+}
+
+/**
+ * Split text into stemmed search terms
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Typo allowance for a query term of a given length
+ */
+function maxTypos(term) {
+    if (term.length < 4) return 0;
+    return term.length < 7 ? 1 : 2;
+}
+
+class SearchIndex {
+    constructor() {
+        this.terms = new Map(); // term -> Map(productId -> weight)
+        this.documents = new Map(); // productId -> Set(term)
+    }
+
+    /**
+     * Add or re-index a product
+     */
+    upsert(product) {
+        this.remove(product.id);
+
+        const weights = new Map();
+        const addField = (text, weight) => {
+            tokenize(text).forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+        };
+
+        addField(product.name, FIELD_WEIGHTS.name);
+        addField((product.tags || []).join(' '), FIELD_WEIGHTS.tags);
+        addField(product.brand, FIELD_WEIGHTS.brand);
+        addField(product.category, FIELD_WEIGHTS.category);
+        addField(product.subcategory, FIELD_WEIGHTS.subcategory);
+        addField(product.description, FIELD_WEIGHTS.description);
+
+        for (const [term, weight] of weights) {
+            if (!this.terms.has(term)) this.terms.set(term, new Map());
+            this.terms.get(term).set(product.id, weight);
+        }
+        this.documents.set(product.id, new Set(weights.keys()));
+    }
+
+    /**
+     * Drop a product from the index
+     */
+    remove(productId) {
+        const terms = this.documents.get(productId);
+        if (!terms) return;
+
+        for (const term of terms) {
+            const postings = this.terms.get(term);
+            postings.delete(productId);
+            if (postings.size === 0) this.terms.delete(term);
+        }
+        this.documents.delete(productId);
+    }
+
+    /**
+     * Index terms matching a query term, with the multiplier each match earns
+     */
+    expand(queryTerm) {
+        const matches = new Map();
+        const typos = maxTypos(queryTerm);
+
+        for (const term of this.terms.keys()) {
+            let factor = 0;
+            if (term === queryTerm) {
+                factor = 1;
+            } else if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+                factor = PREFIX_PENALTY;
+            } else if (typos > 0 && editDistance(queryTerm, term, typos) <= typos) {
+                factor = FUZZY_PENALTY;
+            }
+            if (factor > 0) matches.set(term, factor);
+        }
+        return matches;
+    }
+
+    /**
+     * Score products against a query
+     * Returns a Map of product id -> relevance score, best first.
+     */
+    search(query) {
+        const queryTerms = [...new Set(tokenize(query))];
+        const scores = new Map();
+        const matchedTerms = new Map();
+
+        for (const queryTerm of queryTerms) {
+            for (const [term, factor] of this.expand(queryTerm)) {
+                const idf = Math.log(1 + this.documents.size / this.terms.get(term).size);
+
+                for (const [productId, weight] of this.terms.get(term)) {
+                    scores.set(productId, (scores.get(productId) || 0) + weight * factor * idf);
+                    if (!matchedTerms.has(productId)) matchedTerms.set(productId, new Set());
+                    matchedTerms.get(productId).add(queryTerm);
+                }
+            }
+        }
+
+        // Favour products matching more of the query's terms
+        for (const [productId, score] of scores) {
+            const coverage = matchedTerms.get(productId).size / queryTerms.length;
+            scores.set(productId, score * coverage * coverage);
+        }
+
+        return new Map([...scores].sort((a, b) => b[1] - a[1]));
+    }
+}
+
+let productIndex = null;
+
+/**
+ * The product search index, built from the catalog on first use
+ */
+function getProductIndex() {
+    if (!productIndex) {
+        productIndex = new SearchIndex();
+        repository('products').findAll().forEach(product => productIndex.upsert(product));
+    }
+    return productIndex;
+}
+
+module.exports = {
+    SearchIndex,
+    getProductIndex,
+    tokenize,
+    stem
+};
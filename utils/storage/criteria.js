@@ -0,0 +1,32 @@
+/**
+ * Query criteria helpers shared by the storage adapters
+ *
+ * Criteria are either a predicate function or a plain object of
+ * field/value pairs that must all be equal (dotted paths allowed).
+ */
+
+/**
+ * Resolve a dotted path such as "shippingAddress.city" on a record
+ */
+function getPath(record, fieldPath) {
+    return fieldPath.split('.').reduce(
+        (value, key) => (value === null || value === undefined ? undefined : value[key]),
+        record
+    );
+}
+
+/**
+ * Turn query criteria into a predicate function
+ */
+function toPredicate(criteria) {
+    if (typeof criteria === 'function') return criteria;
+    if (!criteria) return () => true;
+
+    const entries = Object.entries(criteria);
+    return record => entries.every(([field, value]) => getPath(record, field) === value);
+}
+
+module.exports = {
+    getPath,
+    toPredicate
+};
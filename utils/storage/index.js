@@ -0,0 +1,67 @@
+const config = require('../../config');
+const JsonFileAdapter = require('./jsonAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+const Repository = require('./repository');
+const { Transaction, withWriteLock } = require('./transaction');
+
+const ADAPTERS = {
+    json: JsonFileAdapter,
+    sqlite: SqliteAdapter
+};
+
+let adapter = null;
+
+/**
+ * Create a storage adapter for the given driver
+ */
+function createAdapter(driver, options = config.storage) {
+    const Adapter = ADAPTERS[driver];
+    if (!Adapter) {
+        throw new Error(`Unknown storage driver "${driver}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return new Adapter(options);
+}
+
+/**
+ * Get the configured storage adapter
+ */
+function getAdapter() {
+    if (!adapter) {
+        adapter = createAdapter(config.storage.driver);
+    }
+    return adapter;
+}
+
+/**
+ * Get the repository for a collection
+ */
+function repository(name) {
+    return new Repository(name, getAdapter);
+}
+
+/**
+ * Run fn as a serialized, all-or-nothing unit of work
+ *
+ * fn receives a transaction whose repository(name) reads see its own pending
+ * writes. Writers are queued so only one transaction runs at a time. If fn
+ * resolves, every staged write is committed together; if it throws, nothing
+ * is written and the error is rethrown.
+ */
+function transaction(fn) {
+    return withWriteLock(async () => {
+        const tx = new Transaction(getAdapter());
+
+        const result = await fn(tx);
+        tx.commit();
+        return result;
+    });
+}
+
+module.exports = {
+    ADAPTERS,
+    Repository,
+    createAdapter,
+    getAdapter,
+    repository,
+    transaction
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { toPredicate } = require('./criteria');
+const { applyOperation, rebaseOperation } = require('./transaction');
+
+const JOURNAL_FILE = '.transaction-journal';
+
+/**
+ * Write a file to a temp path, flush it to disk and return the temp path
+ */
+function writeTempFile(filepath, content) {
+    const tempPath = `${filepath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return tempPath;
+}
+
+/**
+ * Replace a file atomically: write a temp file, then rename it into place
+ */
+function writeFileAtomic(filepath, content) {
+    fs.renameSync(writeTempFile(filepath, content), filepath);
+}
+
+/**
+ * JSON file storage adapter
+ * Each collection is stored as an array in <dataDir>/<collection>.json
+ *
+ * Files are never truncated in place. A multi-file commit first writes every
+ * file to a temp path, then records the pending renames in a journal before
+ * renaming, so a crash mid-commit is rolled forward on the next start.
+ */
+class JsonFileAdapter {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir;
+        this.recover();
+    }
+
+    journalPath() {
+        return path.join(this.dataDir, JOURNAL_FILE);
+    }
+
+    /**
+     * Finish a commit interrupted by a crash and discard stray temp files
+     */
+    recover() {
+        if (!fs.existsSync(this.dataDir)) return;
+
+        const journalPath = this.journalPath();
+        if (fs.existsSync(journalPath)) {
+            const pending = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+            for (const { tempPath, filepath } of pending) {
+                if (fs.existsSync(tempPath)) fs.renameSync(tempPath, filepath);
+            }
+            fs.unlinkSync(journalPath);
+        }
+
+        fs.readdirSync(this.dataDir)
+            .filter(file => file.endsWith('.tmp'))
+            .forEach(file => fs.unlinkSync(path.join(this.dataDir, file)));
+    }
+
+    filePath(collection) {
+        return path.join(this.dataDir, `${collection}.json`);
+    }
+
+    /**
+     * Read every record in a collection
+     */
+    load(collection) {
+        const filepath = this.filePath(collection);
+        try {
+            if (!fs.existsSync(filepath)) {
+                return [];
+            }
+            const data = fs.readFileSync(filepath, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            console.error(`Error reading ${collection}.json:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace every record in a collection
+     */
+    save(collection, records) {
+        this.saveAll(new Map([[collection, records]]));
+    }
+
+    /**
+     * Replace several collections so that either all or none are updated
+     */
+    saveAll(collections) {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        if (collections.size === 1) {
+            const [[collection, records]] = collections;
+            writeFileAtomic(this.filePath(collection), JSON.stringify(records, null, 2));
+            return;
+        }
+
+        const pending = [];
+        try {
+            for (const [collection, records] of collections) {
+                const filepath = this.filePath(collection);
+                pending.push({ tempPath: writeTempFile(filepath, JSON.stringify(records, null, 2)), filepath });
+            }
+        } catch (error) {
+            // Nothing has been renamed yet, so dropping the temp files rolls back
+            pending.forEach(({ tempPath }) => fs.rmSync(tempPath, { force: true }));
+            throw error;
+        }
+
+        writeFileAtomic(this.journalPath(), JSON.stringify(pending));
+        for (const { tempPath, filepath } of pending) {
+            fs.renameSync(tempPath, filepath);
+        }
+        fs.unlinkSync(this.journalPath());
+    }
+
+    findAll(collection) {
+        return this.load(collection);
+    }
+
+    findById(collection, id) {
+        return this.load(collection).find(r => r.id === id) || null;
+    }
+
+    query(collection, criteria) {
+        return this.load(collection).filter(toPredicate(criteria));
+    }
+
+    insert(collection, record) {
+        const records = this.load(collection);
+        records.push(record);
+        this.save(collection, records);
+        return record;
+    }
+
+    update(collection, id, record) {
+        const records = this.load(collection);
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        records[index] = record;
+        this.save(collection, records);
+        return record;
+    }
+
+    delete(collection, id) {
+        const records = this.load(collection);
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return false;
+
+        records.splice(index, 1);
+        this.save(collection, records);
+        return true;
+    }
+
+    replaceAll(collection, records) {
+        this.save(collection, records);
+    }
+
+    /**
+     * Apply the operations staged by a transaction
+     */
+    commit(operations) {
+        const collections = new Map();
+        for (const operation of operations) {
+            if (!collections.has(operation.collection)) {
+                collections.set(operation.collection, this.load(operation.collection));
+            }
+            const records = collections.get(operation.collection);
+            const id = operation.record && operation.record.id;
+            applyOperation(records, rebaseOperation(operation, id !== undefined ? records.find(r => r.id === id) : null));
+        }
+        this.saveAll(collections);
+    }
+
+    close() {}
+}
+
+module.exports = JsonFileAdapter;
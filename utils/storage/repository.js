@@ -0,0 +1,81 @@
+/**
+ * Repository for a single collection
+ * Routes talk to this instead of reading and rewriting whole files.
+ */
+class Repository {
+    /**
+     * @param {string} name - collection name
+     * @param {object|Function} storage - adapter, transaction, or a function returning one
+     */
+    constructor(name, storage) {
+        this.name = name;
+        this.storage = storage;
+    }
+
+    get adapter() {
+        return typeof this.storage === 'function' ? this.storage() : this.storage;
+    }
+
+    findAll() {
+        return this.adapter.findAll(this.name);
+    }
+
+    findById(id) {
+        return this.adapter.findById(this.name, id);
+    }
+
+    /**
+     * Find records matching a predicate function or an object of field values
+     */
+    query(criteria) {
+        return this.adapter.query(this.name, criteria);
+    }
+
+    findOne(criteria) {
+        return this.query(criteria)[0] || null;
+    }
+
+    count(criteria) {
+        return criteria ? this.query(criteria).length : this.findAll().length;
+    }
+
+    insert(record) {
+        return this.adapter.insert(this.name, record);
+    }
+
+    /**
+     * Merge changes into an existing record, returns the updated record or null
+     */
+    update(id, changes) {
+        const existing = this.findById(id);
+        if (!existing) return null;
+
+        return this.adapter.update(this.name, id, { ...existing, ...changes });
+    }
+
+    /**
+     * Store a complete record in place of the existing one
+     */
+    replace(id, record) {
+        return this.adapter.update(this.name, id, record);
+    }
+
+    /**
+     * Insert the record, or replace the stored one with the same id
+     */
+    upsert(record) {
+        return this.findById(record.id)
+            ? this.replace(record.id, record)
+            : this.insert(record);
+    }
+
+    delete(id) {
+        return this.adapter.delete(this.name, id);
+    }
+
+    replaceAll(records) {
+        this.adapter.replaceAll(this.name, records);
+    }
+}
+
+module.exports = Repository;
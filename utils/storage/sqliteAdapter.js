@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { toPredicate } = require('./criteria');
+const { rebaseOperation } = require('./transaction');
+
+const COLLECTION_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FIELD_PATH = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+/**
+ * Embedded SQLite storage adapter
+ * Each collection is a table of JSON documents keyed by record id.
+ * Insertion order is kept through the table's rowid.
+ */
+class SqliteAdapter {
+    constructor(options = {}) {
+        // Loaded lazily so the JSON backend works without the native module
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(path.dirname(options.sqliteFile), { recursive: true });
+        this.db = new Database(options.sqliteFile);
+        this.db.pragma('journal_mode = WAL');
+        this.tables = new Set();
+    }
+
+    /**
+     * Make sure the table for a collection exists and return its quoted name
+     */
+    table(collection) {
+        if (!COLLECTION_NAME.test(collection)) {
+            throw new Error(`Invalid collection name: ${collection}`);
+        }
+        if (!this.tables.has(collection)) {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+            this.tables.add(collection);
+        }
+        return `"${collection}"`;
+    }
+
+    findAll(collection) {
+        return this.db.prepare(`SELECT data FROM ${this.table(collection)} ORDER BY rowid`)
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    findById(collection, id) {
+        const row = this.db.prepare(`SELECT data FROM ${this.table(collection)} WHERE id = ?`).get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    query(collection, criteria) {
+        // Plain equality criteria on scalar values are pushed down to SQL,
+        // anything else is filtered in JS
+        const entries = criteria && typeof criteria === 'object' ? Object.entries(criteria) : null;
+        const pushDown = entries && entries.every(([field, value]) =>
+            FIELD_PATH.test(field) && ['string', 'number'].includes(typeof value)
+        );
+
+        if (!pushDown) {
+            return this.findAll(collection).filter(toPredicate(criteria));
+        }
+
+        const where = entries.map(([field]) => `json_extract(data, '$.${field}') = ?`).join(' AND ');
+        return this.db.prepare(`SELECT data FROM ${this.table(collection)} WHERE ${where} ORDER BY rowid`)
+            .all(...entries.map(([, value]) => value))
+            .map(row => JSON.parse(row.data));
+    }
+
+    insert(collection, record) {
+        this.db.prepare(`INSERT INTO ${this.table(collection)} (id, data) VALUES (?, ?)`)
+            .run(record.id, JSON.stringify(record));
+        return record;
+    }
+
+    update(collection, id, record) {
+        const result = this.db.prepare(`UPDATE ${this.table(collection)} SET id = ?, data = ? WHERE id = ?`)
+            .run(record.id, JSON.stringify(record), id);
+        return result.changes > 0 ? record : null;
+    }
+
+    delete(collection, id) {
+        const result = this.db.prepare(`DELETE FROM ${this.table(collection)} WHERE id = ?`).run(id);
+        return result.changes > 0;
+    }
+
+    replaceAll(collection, records) {
+        const table = this.table(collection);
+        const insert = this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+
+        this.db.transaction(() => {
+            this.db.prepare(`DELETE FROM ${table}`).run();
+            for (const record of records) {
+                insert.run(record.id, JSON.stringify(record));
+            }
+        })();
+    }
+
+    /**
+     * Apply the operations staged by a transaction inside one SQLite transaction
+     */
+    commit(operations) {
+        this.db.transaction(() => {
+            for (const staged of operations) {
+                const operation = staged.record
+                    ? rebaseOperation(staged, this.findById(staged.collection, staged.record.id))
+                    : staged;
+
+                switch (operation.type) {
+                    case 'insert':
+                        this.insert(operation.collection, operation.record);
+                        break;
+                    case 'update':
+                        this.update(operation.collection, operation.id, operation.record);
+                        break;
+                    case 'delete':
+                        this.delete(operation.collection, operation.id);
+                        break;
+                    case 'replaceAll':
+                        this.replaceAll(operation.collection, operation.records);
+                        break;
+                    default:
+                        throw new Error(`Unknown operation type: ${operation.type}`);
+                }
+            }
+        })();
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteAdapter;
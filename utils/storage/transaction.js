@@ -0,0 +1,180 @@
+const { toPredicate } = require('./criteria');
+const Repository = require('./repository');
+
+let lockChain = Promise.resolve();
+
+/**
+ * Run fn once every previously queued writer has finished
+ */
+function withWriteLock(fn) {
+    const run = lockChain.then(() => fn());
+    lockChain = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Apply a staged operation to an in-memory copy of a collection
+ */
+function applyOperation(records, operation) {
+    const index = operation.id !== undefined ? records.findIndex(r => r.id === operation.id) : -1;
+
+    switch (operation.type) {
+        case 'insert':
+            records.push(operation.record);
+            break;
+        case 'update':
+            if (index > -1) records[index] = operation.record;
+            break;
+        case 'delete':
+            if (index > -1) records.splice(index, 1);
+            break;
+        case 'replaceAll':
+            records.splice(0, records.length, ...operation.records);
+            break;
+        default:
+            throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+    return records;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fit a staged insert or update to the record stored when it is applied
+ *
+ * Writes made straight through a repository (e.g. cart updates) don't wait
+ * for the write lock, so a record can change while a transaction works on
+ * its own copy. An update then only writes the fields it changed from the
+ * record it was made against, keeping the others as stored. An insert of
+ * an id that is already stored fails rather than overwrite the record.
+ */
+function rebaseOperation(operation, current) {
+    if (!current) return operation;
+
+    const { type, collection, record, base } = operation;
+    if (type === 'insert') {
+        throw new Error(`A record with id ${record.id} already exists in ${collection}`);
+    }
+    if (type !== 'update' || record.id !== operation.id || sameValue(base, current)) {
+        return operation;
+    }
+
+    const merged = { ...current };
+    for (const field of new Set([...Object.keys(base), ...Object.keys(record)])) {
+        if (sameValue(base[field], record[field])) continue;
+        if (field in record) merged[field] = record[field];
+        else delete merged[field];
+    }
+    return { type, collection, id: operation.id, record: merged };
+}
+
+/**
+ * Staging area for a set of writes across collections
+ *
+ * Implements the same interface as the storage adapters so a Repository
+ * can be pointed at it. Reads see the transaction's own pending writes;
+ * nothing reaches the adapter until commit(). Updates carry the record as
+ * the transaction saw it just before the update, for rebaseOperation().
+ */
+class Transaction {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.operations = [];
+        this.overlays = new Map(); // collection -> Map(id -> record | null)
+        this.replaced = new Set(); // collections rewritten with replaceAll
+    }
+
+    /**
+     * Repository that reads and writes through this transaction
+     */
+    repository(name) {
+        return new Repository(name, this);
+    }
+
+    overlay(collection) {
+        if (!this.overlays.has(collection)) {
+            this.overlays.set(collection, new Map());
+        }
+        return this.overlays.get(collection);
+    }
+
+    findAll(collection) {
+        const overlay = this.overlays.get(collection);
+        if (!overlay) return this.adapter.findAll(collection);
+
+        const base = this.replaced.has(collection) ? [] : this.adapter.findAll(collection);
+        const seen = new Set(base.map(r => r.id));
+        const merged = base.map(r => (overlay.has(r.id) ? overlay.get(r.id) : r));
+
+        for (const [id, record] of overlay) {
+            if (!seen.has(id)) merged.push(record);
+        }
+        return merged.filter(Boolean).map(r => structuredClone(r));
+    }
+
+    findById(collection, id) {
+        const overlay = this.overlays.get(collection);
+        if (overlay && overlay.has(id)) {
+            const record = overlay.get(id);
+            return record ? structuredClone(record) : null;
+        }
+        if (this.replaced.has(collection)) return null;
+        return this.adapter.findById(collection, id);
+    }
+
+    query(collection, criteria) {
+        if (!this.overlays.has(collection)) return this.adapter.query(collection, criteria);
+        return this.findAll(collection).filter(toPredicate(criteria));
+    }
+
+    insert(collection, record) {
+        this.overlay(collection).set(record.id, structuredClone(record));
+        this.operations.push({ type: 'insert', collection, record: structuredClone(record) });
+        return record;
+    }
+
+    update(collection, id, record) {
+        const existing = this.findById(collection, id);
+        if (!existing) return null;
+
+        const overlay = this.overlay(collection);
+        if (record.id !== id) overlay.set(id, null);
+        overlay.set(record.id, structuredClone(record));
+        this.operations.push({ type: 'update', collection, id, record: structuredClone(record), base: existing });
+        return record;
+    }
+
+    delete(collection, id) {
+        if (!this.findById(collection, id)) return false;
+
+        this.overlay(collection).set(id, null);
+        this.operations.push({ type: 'delete', collection, id });
+        return true;
+    }
+
+    replaceAll(collection, records) {
+        const overlay = new Map(records.map(r => [r.id, structuredClone(r)]));
+        this.overlays.set(collection, overlay);
+        this.replaced.add(collection);
+        this.operations.push({ type: 'replaceAll', collection, records: structuredClone(records) });
+    }
+
+    /**
+     * Hand every staged write to the adapter in one atomic step
+     */
+    commit() {
+        if (this.operations.length > 0) {
+            this.adapter.commit(this.operations);
+        }
+        this.operations = [];
+    }
+}
+
+module.exports = {
+    Transaction,
+    applyOperation,
+    rebaseOperation,
+    withWriteLock
+};
@@ -0,0 +1,146 @@
+const { generateId } = require('./helpers');
+const { HttpError } = require('./errors');
+const { imageUrl } = require('./images');
+
+/**
+ * Product variant helpers
+ *
+ * A product may define options such as
+ *   options: [{ name: 'Size', values: ['S', 'M'] }, { name: 'Color', values: ['Red'] }]
+ * and one variant per combination of option values:
+ *   variants: [{ id, sku, options: { Size: 'S', Color: 'Red' }, price, stock, image }]
+ * A variant price of null means the product price applies. When a product has
+ * variants, product.stock is the sum of the variant stock.
+ */
+
+/**
+ * Validate and clean option definitions
+ */
+function normalizeOptions(options) {
+    if (options === undefined || options === null) return [];
+    if (!Array.isArray(options)) {
+        throw new HttpError(400, 'Invalid options', 'Options must be an array');
+    }
+
+    return options.map(option => {
+        const name = typeof option.name === 'string' ? option.name.trim() : '';
+        const values = Array.isArray(option.values)
+            ? [...new Set(option.values.map(v => String(v).trim()).filter(Boolean))]
+            : [];
+
+        if (!name || values.length === 0) {
+            throw new HttpError(400, 'Invalid options', 'Each option needs a name and at least one value');
+        }
+        return { name, values };
+    });
+}
+
+/**
+ * Every combination of option values, e.g. [{ Size: 'S', Color: 'Red' }, ...]
+ */
+function combinations(options) {
+    return options.reduce(
+        (combos, option) => combos.flatMap(combo =>
+            option.values.map(value => ({ ...combo, [option.name]: value }))
+        ),
+        [{}]
+    );
+}
+
+function sameOptions(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+function skuPart(value) {
+    return String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+}
+
+/**
+ * Build the variant list for a product
+ *
+ * One variant is produced per option combination. Values come from the
+ * matching entry in `input` if given, otherwise from the matching existing
+ * variant (so ids and stock survive edits), otherwise defaults.
+ */
+function buildVariants(product, options, input, existing = []) {
+    if (options.length === 0) return [];
+    if (input !== undefined && !Array.isArray(input)) {
+        throw new HttpError(400, 'Invalid variants', 'Variants must be an array');
+    }
+
+    const skuBase = skuPart(product.sku || product.id);
+
+    return combinations(options).map(combo => {
+        const previous = existing.find(v => sameOptions(v.options, combo)) || {};
+        const given = (input || []).find(v => v && v.options && sameOptions(v.options, combo)) || {};
+        const variant = { ...previous, ...given };
+
+        const price = variant.price === undefined || variant.price === null || variant.price === ''
+            ? null
+            : parseFloat(variant.price);
+        const stock = variant.stock === undefined ? 0 : parseInt(variant.stock, 10);
+
+        if (price !== null && (isNaN(price) || price < 0)) {
+            throw new HttpError(400, 'Invalid variants', 'Variant price must be a positive number');
+        }
+        if (isNaN(stock) || stock < 0) {
+            throw new HttpError(400, 'Invalid variants', 'Variant stock must be zero or more');
+        }
+
+        return {
+            id: previous.id || generateId(),
+            sku: variant.sku || [skuBase, ...options.map(o => skuPart(combo[o.name]))].join('-'),
+            options: combo,
+            price,
+            stock,
+            image: variant.image || ''
+        };
+    });
+}
+
+/**
+ * Keep product.stock equal to the total variant stock
+ */
+function syncStock(product) {
+    if (product.variants && product.variants.length > 0) {
+        product.stock = product.variants.reduce((sum, v) => sum + v.stock, 0);
+    }
+    return product;
+}
+
+function hasVariants(product) {
+    return Boolean(product.variants && product.variants.length > 0);
+}
+
+function findVariant(product, variantId) {
+    return (product.variants || []).find(v => v.id === variantId) || null;
+}
+
+/**
+ * Human readable variant name, e.g. "M / Red"
+ */
+function variantLabel(variant) {
+    return variant ? Object.values(variant.options).join(' / ') : '';
+}
+
+/**
+ * Price, stock and image that apply to a product or one of its variants
+ */
+function resolveVariant(product, variant) {
+    return {
+        price: variant && variant.price !== null ? variant.price : product.price,
+        stock: variant ? variant.stock : product.stock,
+        image: imageUrl((variant && variant.image) || product.images[0], 'thumbnail')
+    };
+}
+
+module.exports = {
+    normalizeOptions,
+    buildVariants,
+    syncStock,
+    hasVariants,
+    findVariant,
+    variantLabel,
+    resolveVariant
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { generateId, getTimestamp } = require('./helpers');
+const { HttpError } = require('./errors');
+const { findVariant, resolveVariant } = require('./variants');
+const { isActive } = require('./products');
+const { findCartItemIndex, buildCartItems } = require('./carts');
+const { displayProduct } = require('./currency');
+
+/**
+ * Wishlists
+ *
+ * Signed-in users keep any number of named wishlists in the wishlists
+ * collection:
+ *   { id, userId, name, items, shareToken, createdAt, updatedAt }
+ * items are { productId, variantId, savedPrice, addedAt } with savedPrice
+ * what the product cost when it was saved. Anyone with a wishlist's
+ * shareToken can read it; clearing the token stops sharing.
+ * "Save for later" in the cart moves lines to the user's SAVED_FOR_LATER
+ * list, created the first time it is needed.
+ */
+
+const SAVED_FOR_LATER = 'Saved for later';
+
+function createShareToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * One of a user's wishlists, throwing when it isn't theirs
+ */
+function findOwnWishlist(wishlists, id, userId) {
+    const wishlist = wishlists.findById(id);
+    if (!wishlist || wishlist.userId !== userId) {
+        throw new HttpError(404, 'Not found', 'Wishlist not found');
+    }
+    return wishlist;
+}
+
+function newWishlist(userId, name) {
+    return {
+        id: generateId(),
+        userId,
+        name,
+        items: [],
+        shareToken: null,
+        createdAt: getTimestamp(),
+        updatedAt: getTimestamp()
+    };
+}
+
+/**
+ * The user's "Saved for later" list, created when they don't have one yet
+ */
+function savedForLaterList(wishlists, userId) {
+    return wishlists.findOne({ userId, name: SAVED_FOR_LATER }) ||
+        wishlists.insert(newWishlist(userId, SAVED_FOR_LATER));
+}
+
+/**
+ * Add a product (or one of its variants) to wishlist items at its current
+ * price; one that is already there keeps the price it was saved at
+ * pricing is the promotions pricing in force. Returns the new items.
+ */
+function addWishlistItem(items, { productId, variantId = null }, products, pricing) {
+    const product = products.findById(productId);
+
+    if (!product || product.status === 'draft') {
+        throw new HttpError(404, 'Not found', 'Product not found');
+    }
+    if (!isActive(product)) {
+        throw new HttpError(400, 'Unavailable', 'This product is no longer available');
+    }
+
+    const variant = variantId ? findVariant(product, variantId) : null;
+    if (variantId && !variant) {
+        throw new HttpError(400, 'Not found', 'Variant not found');
+    }
+
+    if (findCartItemIndex(items, productId, variantId) > -1) return items;
+
+    const { price } = pricing.priceFor(product, resolveVariant(product, variant).price);
+    return [...items, { productId, variantId: variant ? variant.id : null, savedPrice: price, addedAt: getTimestamp() }];
+}
+
+/**
+ * A wishlist with its items' current prices and the stock userId can buy
+ * priceDropped flags items that cost less now than when they were saved.
+ * Amounts are also given in the converter's currency (see utils/currency).
+ * Items that can no longer be bought are left out.
+ */
+function describeWishlist(wishlist, converter, userId = null) {
+    const items = buildCartItems(wishlist.items, userId).map(item => {
+        const priceDrop = Math.max(0, Math.round((item.savedPrice - item.product.price) * 100) / 100);
+        return {
+            ...item,
+            product: displayProduct(item.product, converter),
+            priceDropped: item.product.price < item.savedPrice,
+            priceDrop,
+            display: converter.amounts({ savedPrice: item.savedPrice, priceDrop }, ['savedPrice', 'priceDrop'])
+        };
+    });
+
+    return { ...wishlist, items };
+}
+
+module.exports = {
+    SAVED_FOR_LATER,
+    createShareToken,
+    findOwnWishlist,
+    newWishlist,
+    savedForLaterList,
+    addWishlistItem,
+    describeWishlist
+};